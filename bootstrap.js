@@ -14,6 +14,14 @@ const fs = require('fs');
 const path = require('path');
 const os = require('os');
 const cp = require('child_process');
+const crypto = require('crypto');
+
+// Template version recorded per generated file (see: upgrade); bump it whenever a generated template changes.
+// Upgrade itself compares template content (sha256), so a missed bump never hides a change.
+const BOOTSTRAP_VERSION = '1.2.3';
+
+// Path of this script relative to the repo root; generated hooks/scripts call back into it.
+const SCRIPT_PATH = path.relative(process.cwd(), __filename).split(path.sep).join('/') || 'bootstrap.js';
 
 const COLORS = {
   reset: '\x1b[0m',
@@ -24,14 +32,21 @@ const COLORS = {
   cyan: '\x1b[36m',
 };
 
+// check --json keeps stdout for the report; progress output moves to stderr
+let logStream = process.stdout;
+
 function log(msg, color = 'reset') {
   const c = COLORS[color] || COLORS.reset;
-  process.stdout.write(c + msg + COLORS.reset + '\n');
+  logStream.write(c + msg + COLORS.reset + '\n');
 }
 
 function runCommand(cmd, { silent = false } = {}) {
   try {
-    const out = cp.execSync(cmd, { stdio: silent ? 'pipe' : 'inherit', encoding: 'utf8' });
+    const out = cp.execSync(cmd, {
+      stdio: silent ? 'pipe' : 'inherit',
+      encoding: 'utf8',
+      maxBuffer: 64 * 1024 * 1024,
+    });
     return out ?? '';
   } catch (e) {
     if (silent) return '';
@@ -39,10 +54,36 @@ function runCommand(cmd, { silent = false } = {}) {
   }
 }
 
+function gitOutput(args, { buffer = false } = {}) {
+  // Argument-safe git call for paths and refs from the command line (runCommand goes through the shell)
+  try {
+    return cp.execFileSync('git', args, { encoding: buffer ? null : 'utf8', stdio: ['ignore', 'pipe', 'ignore'], maxBuffer: 64 * 1024 * 1024 });
+  } catch {
+    return buffer ? Buffer.alloc(0) : '';
+  }
+}
+
+// A bare command name, or a path; no shell syntax (names can come from committed config such as .mcp.json)
+function isPlainCommand(cmd) {
+  if (typeof cmd !== 'string' || !cmd || /[;&|`$<>(){}[\]*?!'"\n\r]/.test(cmd)) return false;
+  return /[\\/]/.test(cmd) || !/\s/.test(cmd);
+}
+
 function hasCommand(cmd) {
-  const whichCmd = process.platform === 'win32' ? `where ${cmd}` : `command -v ${cmd}`;
-  const res = runCommand(whichCmd, { silent: true });
-  return !!(res && res.trim());
+  // PATH lookup in JS: the name never reaches a shell
+  if (!isPlainCommand(cmd)) return false;
+  const exts = process.platform === 'win32' ? ['', ...(process.env.PATHEXT || '.EXE;.CMD;.BAT;.COM').split(';')] : [''];
+  const isRunnable = f => {
+    try {
+      if (!fs.statSync(f).isFile()) return false;
+      if (process.platform !== 'win32') fs.accessSync(f, fs.constants.X_OK);
+      return true;
+    } catch {
+      return false;
+    }
+  };
+  const dirs = /[\\/]/.test(cmd) ? [''] : (process.env.PATH || '').split(path.delimiter).filter(Boolean);
+  return dirs.some(d => exts.some(ext => isRunnable(d ? path.join(d, cmd + ext) : cmd + ext)));
 }
 
 function ensureDir(dirPath) {
@@ -59,6 +100,11 @@ function safeRead(filePath) {
 }
 
 function writeFileSafe(filePath, content, { overwrite = false } = {}) {
+  if (capturedWrites) {
+    // Render-only mode (upgrade): collect templates instead of writing them
+    capturedWrites.set(filePath, content);
+    return { wrote: false, skipped: true };
+  }
   const exists = fs.existsSync(filePath);
   if (exists && !overwrite) {
     log(`  ↪ Skipped (exists): ${filePath}`, 'yellow');
@@ -66,11 +112,13 @@ function writeFileSafe(filePath, content, { overwrite = false } = {}) {
   }
   ensureDir(path.dirname(filePath));
   fs.writeFileSync(filePath, content, 'utf8');
+  recordInstall(filePath, content, { existed: exists });
   log(`  ✓ ${filePath}`, 'green');
   return { wrote: true, skipped: false };
 }
 
 function chmodSafe(filePath, mode) {
+  if (capturedWrites) return; // render-only mode (upgrade, check --fix --dry-run)
   try {
     fs.chmodSync(filePath, mode);
   } catch {
@@ -78,18 +126,33 @@ function chmodSafe(filePath, mode) {
   }
 }
 
+function isExecutable(filePath) {
+  try {
+    return (fs.statSync(filePath).mode & 0o111) !== 0;
+  } catch {
+    return false;
+  }
+}
+
 function timestampId() {
   return new Date().toISOString().replace(/[:.]/g, '-');
 }
 
+// Latest backup copy per path (consumed by the install manifest)
+const lastBackups = new Map();
+// One backup directory per run, however many steps of a command take backups
+let runBackupDir = null;
+
 function createBackup(pathsToBackup) {
-  const backupDir = `.ai-dev-backup-${timestampId()}`;
+  const backupDir = runBackupDir || `.ai-dev-backup-${timestampId()}`;
   let did = false;
 
   for (const p of pathsToBackup) {
     if (!fs.existsSync(p)) continue;
     const dest = path.join(backupDir, p);
+    if (lastBackups.get(p) === dest) continue; // keep the copy from before this run touched it
     ensureDir(path.dirname(dest));
+    lastBackups.set(p, dest);
     try {
       fs.cpSync(p, dest, { recursive: true });
       did = true;
@@ -115,16 +178,79 @@ function createBackup(pathsToBackup) {
     }
   }
 
-  if (did) log(`🛟 Backup created: ${backupDir}`, 'green');
+  if (did) log(`🛟 Backup ${runBackupDir ? 'updated' : 'created'}: ${backupDir}`, 'green');
+  if (did) runBackupDir = backupDir;
   return did ? backupDir : null;
 }
 
+// Install manifest: what init (and later syncs) created or modified, so uninstall can reverse it.
+// Only recorded while a manifest is active (init, or any command run after init).
+const MANIFEST_PATH = '.ai-dev/manifest.json';
+// Copy of each file as last generated: the common ancestor for upgrade's three-way merge
+const TEMPLATE_BASE_DIR = '.ai-dev/base';
+let installManifest = null;
+let capturedWrites = null;
+
+function contentHash(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+function loadInstallManifest() {
+  const raw = safeRead(MANIFEST_PATH);
+  if (!raw.trim()) return null;
+  try {
+    const m = JSON.parse(raw);
+    return { version: 1, files: {}, gitignore: null, ...m };
+  } catch {
+    log(`  ⚠️  ${MANIFEST_PATH} is not valid JSON; install tracking disabled`, 'yellow');
+    return null;
+  }
+}
+
+function saveInstallManifest() {
+  if (!installManifest) return;
+  ensureDir(path.dirname(MANIFEST_PATH));
+  fs.writeFileSync(MANIFEST_PATH, JSON.stringify(installManifest, null, 2) + '\n', 'utf8');
+}
+
+function templateBasePath(filePath) {
+  if (path.isAbsolute(filePath) || filePath.startsWith('..')) return null; // user-level configs
+  return path.join(TEMPLATE_BASE_DIR, filePath);
+}
+
+function recordInstall(filePath, content, { existed }) {
+  if (!installManifest || filePath === MANIFEST_PATH) return;
+  const prev = installManifest.files[filePath];
+  installManifest.files[filePath] = {
+    // The first record wins: it describes the state before we ever touched the path
+    action: prev ? prev.action : existed ? 'modified' : 'created',
+    backup: prev ? prev.backup : existed ? lastBackups.get(filePath) || null : null,
+    sha256: contentHash(content),
+    template: BOOTSTRAP_VERSION,
+  };
+  const base = templateBasePath(filePath);
+  if (base) {
+    ensureDir(path.dirname(base));
+    fs.writeFileSync(base, content, 'utf8');
+  }
+  saveInstallManifest();
+}
+
+function forgetInstall(filePath) {
+  if (!installManifest || !installManifest.files[filePath]) return;
+  delete installManifest.files[filePath];
+  const base = templateBasePath(filePath);
+  if (base && fs.existsSync(base)) fs.unlinkSync(base);
+  saveInstallManifest();
+}
+
 function ensureGitRepo() {
+  // .git is a directory in a normal clone but a file in worktrees/submodules; hooks are
+  // located with git rev-parse (see detectHookSetup), never by assuming .git/hooks
   if (!fs.existsSync('.git')) {
     log('🧩 No .git detected. Running: git init', 'yellow');
     runCommand('git init', { silent: false });
   }
-  ensureDir('.git/hooks');
 }
 
 function warnDirtyWorkingTree() {
@@ -147,15 +273,22 @@ function detectProjectType() {
   const hasDocs = fs.existsSync('docs');
   const hasArch = fs.existsSync('docs/ARCHITECTURE.md');
 
+  // A degraded ARCHITECTURE.md stays "existing" until `architecture finalize` removes the banner
+  if (hasArch && safeRead('docs/ARCHITECTURE.md').includes(DEGRADED_BANNER)) return 'existing';
   if (hasGit && (hasCode || hasDocs) && !hasArch) return 'existing';
   return 'new';
 }
 
+const MODULE_ROOTS = ['src', 'app', 'lib', 'backend', 'packages', 'services'];
+
 function detectModules() {
   try {
-    const candidates = ['src', 'app', 'lib', 'backend', 'packages', 'services'];
+    // Monorepos: the declared workspace packages are the real modules
+    const ws = detectWorkspaces();
+    if (ws.packages.length) return renderWorkspacePackages(ws);
+
     const found = [];
-    for (const base of candidates) {
+    for (const base of MODULE_ROOTS) {
       if (!fs.existsSync(base)) continue;
       const items = fs.readdirSync(base, { withFileTypes: true })
         .filter(d => d.isDirectory())
@@ -169,62 +302,573 @@ function detectModules() {
   }
 }
 
-function detectTechStack() {
-  const detected = [];
+// Workspaces (npm/yarn/pnpm, lerna, Cargo, go.work): which directories are packages, what
+// each one is called, and which other workspace packages it depends on.
+const WORKSPACE_MANIFESTS = ['package.json', 'pnpm-workspace.yaml', 'lerna.json', 'Cargo.toml', 'go.work'];
+
+function expandDirGlobs(patterns) {
+  const norm = p => p.trim().replace(/^\.\//, '').replace(/\/+$/, '');
+  const include = patterns.filter(p => !p.startsWith('!')).map(norm).filter(Boolean);
+  const exclude = patterns.filter(p => p.startsWith('!')).map(p => norm(p.slice(1)));
+  const join = (dir, name) => (dir === '.' ? name : `${dir}/${name}`);
+  const dirs = new Set();
+  const walk = (dir, segs) => {
+    if (!segs.length) {
+      if (dir !== '.' && fs.existsSync(dir) && fs.statSync(dir).isDirectory()) dirs.add(dir);
+      return;
+    }
+    const [seg, ...rest] = segs;
+    if (!/[*?]/.test(seg)) return walk(join(dir, seg), rest);
+    let entries = [];
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true }).filter(e => e.isDirectory() && e.name !== 'node_modules' && !e.name.startsWith('.'));
+    } catch {
+      return;
+    }
+    if (seg === '**') {
+      walk(dir, rest);
+      for (const e of entries) walk(join(dir, e.name), segs);
+      return;
+    }
+    const re = globToRegExp(seg);
+    for (const e of entries) if (re.test(e.name)) walk(join(dir, e.name), rest);
+  };
+  for (const p of include) walk('.', p.split('/').filter(Boolean));
+  return [...dirs].filter(d => !exclude.some(x => matchesGlob(d, x))).sort();
+}
+
+function tomlSection(text, name) {
+  const lines = String(text).split(/\r?\n/);
+  const start = lines.findIndex(l => l.trim() === `[${name}]`);
+  if (start === -1) return '';
+  const end = lines.findIndex((l, i) => i > start && /^\s*\[/.test(l));
+  return lines.slice(start + 1, end === -1 ? lines.length : end).join('\n');
+}
+
+function tomlStringArray(body, key) {
+  const m = body.match(new RegExp(`^\\s*${key}\\s*=\\s*\\[([\\s\\S]*?)\\]`, 'm'));
+  return m ? [...m[1].matchAll(/["']([^"']+)["']/g)].map(x => x[1]) : [];
+}
+
+function workspacePatterns() {
+  // Returns { tools, patterns } from every workspace manifest in the repo root
+  const tools = [];
+  const patterns = [];
   try {
-    // Node / TS
-    if (fs.existsSync('package.json')) {
-      detected.push('- Node.js (package.json)');
-      try {
-        const pkg = JSON.parse(safeRead('package.json'));
-        const deps = { ...(pkg.dependencies || {}), ...(pkg.devDependencies || {}) };
-        if (deps.typescript) detected.push('- TypeScript');
-        if (deps.react) detected.push('- React');
-        if (deps.next) detected.push('- Next.js');
-        if (deps.express) detected.push('- Express');
-        if (deps['@nestjs/core']) detected.push('- NestJS');
-        if (deps.prisma) detected.push('- Prisma');
-      } catch {
-        detected.push('- Node.js (unable to parse dependencies)');
+    const pkg = JSON.parse(safeRead('package.json') || '{}');
+    const ws = Array.isArray(pkg.workspaces) ? pkg.workspaces : (pkg.workspaces && pkg.workspaces.packages) || [];
+    if (ws.length) {
+      tools.push(fs.existsSync('yarn.lock') ? 'yarn workspaces' : 'npm workspaces');
+      patterns.push(...ws);
+    }
+  } catch {
+    // not JSON; ignore
+  }
+  const pnpm = safeRead('pnpm-workspace.yaml');
+  if (pnpm) {
+    const block = pnpm.split(/\r?\n/);
+    const start = block.findIndex(l => /^packages:\s*$/.test(l));
+    if (start !== -1) {
+      tools.push('pnpm workspaces');
+      for (const l of block.slice(start + 1)) {
+        const m = l.match(/^\s+-\s*["']?([^"'#]+?)["']?\s*$/);
+        if (m) patterns.push(m[1]);
+        else if (l.trim() && !/^\s/.test(l)) break;
+      }
+    }
+  }
+  if (fs.existsSync('lerna.json')) {
+    try {
+      const lerna = JSON.parse(safeRead('lerna.json'));
+      tools.push('lerna');
+      patterns.push(...(lerna.packages || ['packages/*']));
+    } catch {
+      // ignore
+    }
+  }
+  const cargoWs = tomlSection(safeRead('Cargo.toml'), 'workspace');
+  if (cargoWs) {
+    tools.push('cargo workspace');
+    patterns.push(...tomlStringArray(cargoWs, 'members'), ...tomlStringArray(cargoWs, 'exclude').map(x => `!${x}`));
+  }
+  const goWork = safeRead('go.work');
+  if (goWork) {
+    tools.push('go.work');
+    const uses = [];
+    for (const m of goWork.matchAll(/^use\s*\(([\s\S]*?)\)/gm)) uses.push(...m[1].split(/\r?\n/));
+    for (const m of goWork.matchAll(/^use\s+([^\s(]+)/gm)) uses.push(m[1]);
+    patterns.push(...uses.map(u => u.replace(/\/\/.*$/, '').trim()).filter(u => u && u !== '.'));
+  }
+  return { tools, patterns };
+}
+
+function readWorkspacePackage(dir) {
+  // name + declared dependencies (all of them; filtered to workspace packages later)
+  const pkgJson = safeRead(`${dir}/package.json`);
+  if (pkgJson) {
+    try {
+      const pkg = JSON.parse(pkgJson);
+      const deps = Object.keys({ ...(pkg.dependencies || {}), ...(pkg.devDependencies || {}), ...(pkg.peerDependencies || {}) });
+      return { name: pkg.name || path.posix.basename(dir), dir, ecosystem: 'npm', deps };
+    } catch {
+      // fall through
+    }
+  }
+  const cargo = safeRead(`${dir}/Cargo.toml`);
+  if (cargo) {
+    const name = (tomlSection(cargo, 'package').match(/^\s*name\s*=\s*"([^"]+)"/m) || [])[1];
+    const deps = ['dependencies', 'dev-dependencies', 'build-dependencies']
+      .flatMap(sec => [...tomlSection(cargo, sec).matchAll(/^\s*([A-Za-z0-9_-]+)\s*=/gm)].map(m => m[1]));
+    return { name: name || path.posix.basename(dir), dir, ecosystem: 'cargo', deps };
+  }
+  const goMod = safeRead(`${dir}/go.mod`);
+  if (goMod) {
+    const name = (goMod.match(/^module\s+(\S+)/m) || [])[1];
+    const deps = [];
+    for (const m of goMod.matchAll(/^require\s*\(([\s\S]*?)\)/gm)) deps.push(...m[1].split(/\r?\n/).map(l => l.trim().split(/\s+/)[0]));
+    for (const m of goMod.matchAll(/^require\s+([^\s(]+)/gm)) deps.push(m[1]);
+    return { name: name || path.posix.basename(dir), dir, ecosystem: 'go', deps: deps.filter(Boolean) };
+  }
+  return null; // matched the glob but is not a package
+}
+
+function detectWorkspaces() {
+  const { tools, patterns } = workspacePatterns();
+  const packages = expandDirGlobs(patterns).map(readWorkspacePackage).filter(Boolean);
+  const names = new Set(packages.map(p => p.name));
+  for (const p of packages) p.deps = [...new Set(p.deps.filter(d => names.has(d) && d !== p.name))].sort();
+  return { tools, packages, manifests: WORKSPACE_MANIFESTS.filter(f => fs.existsSync(f)) };
+}
+
+function workspaceClosure(pkg, packages) {
+  // The package plus its internal dependencies, transitively
+  const byName = new Map(packages.map(p => [p.name, p]));
+  const seen = new Map([[pkg.name, pkg]]);
+  const queue = [pkg];
+  while (queue.length) {
+    for (const d of queue.shift().deps) {
+      if (seen.has(d) || !byName.has(d)) continue;
+      seen.set(d, byName.get(d));
+      queue.push(byName.get(d));
+    }
+  }
+  return [...seen.values()];
+}
+
+function renderWorkspacePackages(ws) {
+  const lines = [`Workspace packages (${ws.tools.join(', ')}):`];
+  for (const p of ws.packages) {
+    lines.push(`- ${p.name} (${p.dir}/)${p.deps.length ? ` → depends on: ${p.deps.join(', ')}` : ''}`);
+  }
+  lines.push('', `Per-package context: node ${SCRIPT_PATH} context --package <name>`);
+  return lines.join('\n');
+}
+
+// Tech stack detection: a registry of per-ecosystem detectors. Each detector gets a directory
+// (repo root or a workspace package) and returns entries { category, name, version, source }.
+// Add an ecosystem by appending { id, detect(dir) } to STACK_DETECTORS.
+const STACK_PATH = '.ai-dev/stack.json';
+const STACK_CATEGORIES = [
+  ['language', 'Language'],
+  ['framework', 'Framework'],
+  ['test', 'Test runner'],
+  ['build', 'Build tool'],
+  ['data', 'Data'],
+  ['infra', 'Infra'],
+];
+
+function versionOf(spec, parts = 1) {
+  // '^18.2.0' → '18', '>=3.10' with parts=2 → '3.10'; 0.x keeps the minor ('0.14')
+  const m = String(spec || '').match(/(\d+)(?:\.(\d+))?/);
+  if (!m) return null;
+  return (parts > 1 || m[1] === '0') && m[2] !== undefined ? `${m[1]}.${m[2]}` : m[1];
+}
+
+function stackMatches(deps, table, source) {
+  // table: [[depName, category, displayName], ...]; first match per displayName wins
+  const out = [];
+  for (const [dep, category, name] of table) {
+    if (deps.has(dep) && !out.some(e => e.name === name)) out.push({ category, name, version: versionOf(deps.get(dep)), source });
+  }
+  return out;
+}
+
+const NODE_STACK = [
+  ['next', 'framework', 'Next.js'], ['nuxt', 'framework', 'Nuxt'], ['@sveltejs/kit', 'framework', 'SvelteKit'],
+  ['@remix-run/react', 'framework', 'Remix'], ['astro', 'framework', 'Astro'], ['react', 'framework', 'React'],
+  ['vue', 'framework', 'Vue'], ['svelte', 'framework', 'Svelte'], ['@angular/core', 'framework', 'Angular'],
+  ['solid-js', 'framework', 'Solid'], ['@nestjs/core', 'framework', 'NestJS'], ['express', 'framework', 'Express'],
+  ['fastify', 'framework', 'Fastify'], ['koa', 'framework', 'Koa'], ['hono', 'framework', 'Hono'], ['electron', 'framework', 'Electron'],
+  ['vitest', 'test', 'Vitest'], ['jest', 'test', 'Jest'], ['mocha', 'test', 'Mocha'], ['ava', 'test', 'AVA'],
+  ['@playwright/test', 'test', 'Playwright'], ['cypress', 'test', 'Cypress'],
+  ['vite', 'build', 'Vite'], ['webpack', 'build', 'webpack'], ['rollup', 'build', 'Rollup'], ['esbuild', 'build', 'esbuild'],
+  ['parcel', 'build', 'Parcel'], ['tsup', 'build', 'tsup'], ['turbo', 'build', 'Turborepo'], ['nx', 'build', 'Nx'],
+  ['prisma', 'data', 'Prisma'], ['@prisma/client', 'data', 'Prisma'], ['drizzle-orm', 'data', 'Drizzle'], ['typeorm', 'data', 'TypeORM'],
+  ['sequelize', 'data', 'Sequelize'], ['mongoose', 'data', 'Mongoose'], ['knex', 'data', 'Knex'],
+];
+
+function detectNodeStack(dir) {
+  const source = path.posix.join(dir, 'package.json');
+  if (!fs.existsSync(source)) return [];
+  let pkg;
+  try {
+    pkg = JSON.parse(safeRead(source));
+  } catch {
+    return [{ category: 'language', name: 'JavaScript', version: null, source: `${source} (unparseable)` }];
+  }
+  const deps = new Map(Object.entries({ ...(pkg.peerDependencies || {}), ...(pkg.devDependencies || {}), ...(pkg.dependencies || {}) }));
+  const out = [];
+  if (deps.has('typescript')) out.push({ category: 'language', name: 'TypeScript', version: versionOf(deps.get('typescript')), source });
+  else out.push({ category: 'language', name: 'JavaScript', version: null, source });
+  out.push({ category: 'language', name: 'Node.js', version: versionOf(pkg.engines && pkg.engines.node), source });
+  out.push(...stackMatches(deps, NODE_STACK, source));
+  // Package manager: the packageManager field, else the lockfile
+  const pm = String(pkg.packageManager || '').match(/^(npm|yarn|pnpm|bun)@(.+)$/);
+  const lockfiles = [['pnpm-lock.yaml', 'pnpm'], ['yarn.lock', 'yarn'], ['bun.lockb', 'bun'], ['package-lock.json', 'npm']];
+  const lock = lockfiles.find(([f]) => fs.existsSync(path.posix.join(dir, f)));
+  if (pm) out.push({ category: 'build', name: pm[1], version: versionOf(pm[2]), source });
+  else if (lock) out.push({ category: 'build', name: lock[1], version: null, source: path.posix.join(dir, lock[0]) });
+  return out;
+}
+
+const PYTHON_STACK = [
+  ['django', 'framework', 'Django'], ['fastapi', 'framework', 'FastAPI'], ['flask', 'framework', 'Flask'],
+  ['starlette', 'framework', 'Starlette'], ['aiohttp', 'framework', 'aiohttp'], ['tornado', 'framework', 'Tornado'],
+  ['pytest', 'test', 'pytest'], ['hypothesis', 'test', 'Hypothesis'], ['tox', 'test', 'tox'],
+  ['sqlalchemy', 'data', 'SQLAlchemy'], ['alembic', 'data', 'Alembic'], ['psycopg2', 'data', 'PostgreSQL (psycopg2)'],
+  ['psycopg', 'data', 'PostgreSQL (psycopg)'], ['pymongo', 'data', 'MongoDB (pymongo)'], ['celery', 'data', 'Celery'],
+];
+
+function parsePythonRequirement(line) {
+  const m = String(line).trim().match(/^([A-Za-z0-9_.-]+)(?:\[[^\]]*\])?\s*(.*)$/);
+  return m && !line.trim().startsWith('#') && !line.trim().startsWith('-') ? [m[1].toLowerCase().replace(/_/g, '-'), m[2].replace(/[;#].*$/, '').trim()] : null;
+}
+
+function detectPythonStack(dir) {
+  const pyproject = safeRead(path.posix.join(dir, 'pyproject.toml'));
+  const requirements = ['requirements.txt', 'requirements-dev.txt'].map(f => path.posix.join(dir, f)).filter(f => fs.existsSync(f));
+  if (!pyproject && !requirements.length) return [];
+  const source = pyproject ? path.posix.join(dir, 'pyproject.toml') : requirements[0];
+  const deps = new Map();
+  const add = entry => entry && !deps.has(entry[0]) && deps.set(entry[0], entry[1]);
+  for (const f of requirements) safeRead(f).split(/\r?\n/).forEach(l => add(parsePythonRequirement(l)));
+  let pythonVersion = null;
+  if (pyproject) {
+    const project = tomlSection(pyproject, 'project');
+    pythonVersion = (project.match(/^\s*requires-python\s*=\s*"([^"]+)"/m) || [])[1] || null;
+    tomlStringArray(project, 'dependencies').forEach(d => add(parsePythonRequirement(d)));
+    const optional = tomlSection(pyproject, 'project.optional-dependencies');
+    for (const m of optional.matchAll(/\[([\s\S]*?)\]/g)) [...m[1].matchAll(/["']([^"']+)["']/g)].forEach(x => add(parsePythonRequirement(x[1])));
+    // Poetry: name = "^1.2" or name = { version = "^1.2", ... }
+    for (const sec of ['tool.poetry.dependencies', 'tool.poetry.dev-dependencies', 'tool.poetry.group.dev.dependencies', 'tool.poetry.group.test.dependencies']) {
+      for (const m of tomlSection(pyproject, sec).matchAll(/^\s*([A-Za-z0-9_.-]+)\s*=\s*(?:"([^"]*)"|\{[^}]*version\s*=\s*"([^"]*)")?/gm)) {
+        if (m[1].toLowerCase() === 'python') pythonVersion = pythonVersion || m[2] || m[3] || null;
+        else add([m[1].toLowerCase().replace(/_/g, '-'), m[2] || m[3] || '']);
       }
     }
+    if (/^\[tool\.pytest/m.test(pyproject) && !deps.has('pytest')) deps.set('pytest', '');
+  }
+  const out = [{ category: 'language', name: 'Python', version: versionOf(pythonVersion, 2), source }];
+  out.push(...stackMatches(deps, PYTHON_STACK, source));
+  const backend = (tomlSection(pyproject, 'build-system').match(/build-backend\s*=\s*"([^".]+)/) || [])[1];
+  const tools = [['poetry', 'Poetry'], ['hatchling', 'Hatch'], ['pdm', 'PDM'], ['setuptools', 'setuptools'], ['flit_core', 'Flit'], ['maturin', 'maturin']];
+  const tool = tools.find(([id]) => backend === id || (id === 'poetry' && /^\[tool\.poetry\]/m.test(pyproject)));
+  if (fs.existsSync(path.posix.join(dir, 'uv.lock'))) out.push({ category: 'build', name: 'uv', version: null, source: path.posix.join(dir, 'uv.lock') });
+  if (tool) out.push({ category: 'build', name: tool[1], version: null, source });
+  else if (!pyproject) out.push({ category: 'build', name: 'pip', version: null, source });
+  return out;
+}
 
-    // Python
-    if (fs.existsSync('pyproject.toml')) detected.push('- Python (pyproject.toml)');
-    if (fs.existsSync('requirements.txt')) detected.push('- Python (requirements.txt)');
-
-    // Go / Rust / Java / Ruby / PHP / .NET
-    if (fs.existsSync('go.mod')) detected.push('- Go (go.mod)');
-    if (fs.existsSync('Cargo.toml')) detected.push('- Rust (Cargo.toml)');
-    if (fs.existsSync('pom.xml') || fs.existsSync('build.gradle')) detected.push('- Java (Maven/Gradle)');
-    if (fs.existsSync('Gemfile')) detected.push('- Ruby (Gemfile)');
-    if (fs.existsSync('composer.json')) detected.push('- PHP (composer.json)');
-    // .NET: global.json or any *.csproj in repo root (fs.existsSync does not expand globs)
-    let hasCsproj = false;
-    if (fs.existsSync('global.json')) {
-      hasCsproj = true;
-    } else {
+const GO_STACK = [
+  ['github.com/gin-gonic/gin', 'framework', 'Gin'], ['github.com/labstack/echo', 'framework', 'Echo'],
+  ['github.com/gofiber/fiber', 'framework', 'Fiber'], ['github.com/go-chi/chi', 'framework', 'chi'],
+  ['github.com/gorilla/mux', 'framework', 'gorilla/mux'], ['google.golang.org/grpc', 'framework', 'gRPC'],
+  ['github.com/stretchr/testify', 'test', 'testify'], ['github.com/onsi/ginkgo', 'test', 'Ginkgo'],
+  ['gorm.io/gorm', 'data', 'GORM'], ['github.com/jmoiron/sqlx', 'data', 'sqlx'], ['entgo.io/ent', 'data', 'ent'],
+];
+
+function detectGoStack(dir) {
+  const source = path.posix.join(dir, 'go.mod');
+  const goMod = safeRead(source);
+  if (!goMod) return [];
+  const deps = new Map();
+  const requires = [];
+  for (const m of goMod.matchAll(/^require\s*\(([\s\S]*?)\)/gm)) requires.push(...m[1].split(/\r?\n/));
+  for (const m of goMod.matchAll(/^require\s+([^\s(].*)$/gm)) requires.push(m[1]);
+  for (const line of requires) {
+    const [mod, ver] = line.trim().split(/\s+/);
+    // github.com/labstack/echo/v4 → github.com/labstack/echo (major lives in the path)
+    if (mod && !mod.startsWith('//')) deps.set(mod.replace(/\/v\d+$/, ''), ver);
+  }
+  return [
+    { category: 'language', name: 'Go', version: versionOf((goMod.match(/^go\s+(\S+)/m) || [])[1], 2), source },
+    ...stackMatches(deps, GO_STACK, source),
+    { category: 'test', name: 'go test', version: null, source },
+    { category: 'build', name: 'Go modules', version: null, source },
+  ];
+}
+
+const RUST_STACK = [
+  ['axum', 'framework', 'Axum'], ['actix-web', 'framework', 'Actix Web'], ['rocket', 'framework', 'Rocket'],
+  ['warp', 'framework', 'warp'], ['tauri', 'framework', 'Tauri'], ['tokio', 'framework', 'Tokio'], ['bevy', 'framework', 'Bevy'],
+  ['diesel', 'data', 'Diesel'], ['sqlx', 'data', 'SQLx'], ['sea-orm', 'data', 'SeaORM'],
+];
+
+function detectRustStack(dir) {
+  const source = path.posix.join(dir, 'Cargo.toml');
+  const cargo = safeRead(source);
+  if (!cargo) return [];
+  const deps = new Map();
+  for (const sec of ['dependencies', 'dev-dependencies', 'build-dependencies', 'workspace.dependencies']) {
+    for (const m of tomlSection(cargo, sec).matchAll(/^\s*([A-Za-z0-9_-]+)\s*=\s*(?:"([^"]*)"|\{[^}]*version\s*=\s*"([^"]*)")?/gm)) {
+      if (!deps.has(m[1])) deps.set(m[1], m[2] || m[3] || '');
+    }
+  }
+  const pkg = tomlSection(cargo, 'package');
+  const rustVersion = (pkg.match(/^\s*rust-version\s*=\s*"([^"]+)"/m) || [])[1];
+  return [
+    { category: 'language', name: 'Rust', version: versionOf(rustVersion, 2), source },
+    ...stackMatches(deps, RUST_STACK, source),
+    { category: 'test', name: 'cargo test', version: null, source },
+    { category: 'build', name: 'Cargo', version: null, source },
+  ];
+}
+
+function detectJvmStack(dir) {
+  const pomPath = path.posix.join(dir, 'pom.xml');
+  const gradlePath = ['build.gradle.kts', 'build.gradle'].map(f => path.posix.join(dir, f)).find(f => fs.existsSync(f));
+  const pom = safeRead(pomPath);
+  const gradle = gradlePath ? safeRead(gradlePath) : '';
+  if (!pom && !gradle) return [];
+  const source = pom ? pomPath : gradlePath;
+  const text = pom || gradle;
+  const out = [];
+  const kotlin = /org\.jetbrains\.kotlin|kotlin-stdlib|kotlin\(["']jvm["']\)/.test(text);
+  const javaVersion =
+    (text.match(/<(?:java\.version|maven\.compiler\.(?:source|release))>\s*([\d.]+)/) || [])[1] ||
+    (text.match(/(?:sourceCompatibility|languageVersion)\s*(?:=|\.set\()?\s*(?:JavaVersion\.VERSION_|JavaLanguageVersion\.of\()?['"]?(\d+(?:[._]\d+)?)/) || [])[1];
+  out.push({ category: 'language', name: kotlin ? 'Kotlin' : 'Java', version: kotlin ? null : versionOf(javaVersion), source });
+  if (kotlin && javaVersion) out.push({ category: 'language', name: 'Java', version: versionOf(javaVersion), source });
+
+  const bootPom = pom.match(/<artifactId>spring-boot-starter-parent<\/artifactId>\s*<version>([^<]+)</);
+  const bootGradle = gradle.match(/org\.springframework\.boot['"]?\)?\s+version\s+['"]([^'"]+)/);
+  if (bootPom || bootGradle || /spring-boot/.test(text)) out.push({ category: 'framework', name: 'Spring Boot', version: versionOf((bootPom || bootGradle || [])[1]), source });
+  if (/io\.quarkus/.test(text)) out.push({ category: 'framework', name: 'Quarkus', version: null, source });
+  if (/io\.micronaut/.test(text)) out.push({ category: 'framework', name: 'Micronaut', version: null, source });
+  if (/junit-jupiter|org\.junit\.jupiter/.test(text)) out.push({ category: 'test', name: 'JUnit', version: '5', source });
+  else if (/<artifactId>junit<\/artifactId>|junit:junit/.test(text)) out.push({ category: 'test', name: 'JUnit', version: '4', source });
+  if (/testng/.test(text)) out.push({ category: 'test', name: 'TestNG', version: null, source });
+  if (/hibernate|spring-boot-starter-data-jpa/.test(text)) out.push({ category: 'data', name: 'JPA / Hibernate', version: null, source });
+  if (/flyway/.test(text)) out.push({ category: 'data', name: 'Flyway', version: null, source });
+  if (/liquibase/.test(text)) out.push({ category: 'data', name: 'Liquibase', version: null, source });
+  out.push({ category: 'build', name: pom ? 'Maven' : 'Gradle', version: null, source });
+  return out;
+}
+
+const RUBY_STACK = [
+  ['rails', 'framework', 'Rails'], ['sinatra', 'framework', 'Sinatra'], ['hanami', 'framework', 'Hanami'],
+  ['rspec-rails', 'test', 'RSpec'], ['rspec', 'test', 'RSpec'], ['minitest', 'test', 'Minitest'], ['cucumber', 'test', 'Cucumber'],
+  ['pg', 'data', 'PostgreSQL (pg)'], ['mysql2', 'data', 'MySQL (mysql2)'], ['sidekiq', 'data', 'Sidekiq'], ['sequel', 'data', 'Sequel'],
+];
+
+function detectRubyStack(dir) {
+  const source = path.posix.join(dir, 'Gemfile');
+  const gemfile = safeRead(source);
+  if (!gemfile) return [];
+  const deps = new Map();
+  for (const m of gemfile.matchAll(/^\s*gem\s+['"]([^'"]+)['"](?:\s*,\s*['"]([^'"]+)['"])?/gm)) deps.set(m[1], m[2] || '');
+  // Locked versions are more precise than Gemfile constraints
+  const lock = safeRead(path.posix.join(dir, 'Gemfile.lock'));
+  for (const name of deps.keys()) {
+    const m = lock.match(new RegExp(`^    ${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')} \\(([^)]+)\\)`, 'm'));
+    if (m) deps.set(name, m[1]);
+  }
+  const ruby = (gemfile.match(/^\s*ruby\s+['"]([^'"]+)['"]/m) || [])[1] || safeRead(path.posix.join(dir, '.ruby-version')).trim();
+  return [
+    { category: 'language', name: 'Ruby', version: versionOf(ruby, 2), source },
+    ...stackMatches(deps, RUBY_STACK, source),
+    { category: 'build', name: 'Bundler', version: null, source },
+  ];
+}
+
+const PHP_STACK = [
+  ['laravel/framework', 'framework', 'Laravel'], ['symfony/framework-bundle', 'framework', 'Symfony'],
+  ['slim/slim', 'framework', 'Slim'], ['cakephp/cakephp', 'framework', 'CakePHP'], ['yiisoft/yii2', 'framework', 'Yii'],
+  ['pestphp/pest', 'test', 'Pest'], ['phpunit/phpunit', 'test', 'PHPUnit'],
+  ['doctrine/orm', 'data', 'Doctrine ORM'],
+];
+
+function detectPhpStack(dir) {
+  const source = path.posix.join(dir, 'composer.json');
+  if (!fs.existsSync(source)) return [];
+  let composer;
+  try {
+    composer = JSON.parse(safeRead(source));
+  } catch {
+    return [{ category: 'language', name: 'PHP', version: null, source: `${source} (unparseable)` }];
+  }
+  const deps = new Map(Object.entries({ ...(composer['require-dev'] || {}), ...(composer.require || {}) }));
+  return [
+    { category: 'language', name: 'PHP', version: versionOf(deps.get('php'), 2), source },
+    ...stackMatches(deps, PHP_STACK, source),
+    { category: 'build', name: 'Composer', version: null, source },
+  ];
+}
+
+function detectDotnetStack(dir) {
+  // Project files in the directory itself or one level down (src/App/App.csproj is common)
+  const found = [];
+  const scan = (d, depth) => {
+    let entries = [];
+    try {
+      entries = fs.readdirSync(d, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    for (const e of entries) {
+      const p = d === '.' ? e.name : `${d}/${e.name}`;
+      if (e.isFile() && /\.(cs|fs)proj$/.test(e.name)) found.push(p);
+      else if (e.isDirectory() && depth > 0 && !e.name.startsWith('.') && !['node_modules', 'bin', 'obj'].includes(e.name)) scan(p, depth - 1);
+    }
+  };
+  scan(dir, dir === '.' ? 2 : 1);
+  if (!found.length) return [];
+  const out = [];
+  for (const source of found.sort()) {
+    const proj = safeRead(source);
+    const tfm = (proj.match(/<TargetFrameworks?>\s*([^<;]+)/) || [])[1] || '';
+    out.push({ category: 'language', name: source.endsWith('.fsproj') ? 'F#' : 'C#', version: null, source });
+    if (/^net[1-4]\d+$/.test(tfm)) out.push({ category: 'language', name: '.NET Framework', version: tfm.slice(3).split('').join('.'), source });
+    else out.push({ category: 'language', name: tfm.startsWith('netstandard') ? '.NET Standard' : '.NET', version: versionOf(tfm), source });
+    if (/Sdk="Microsoft\.NET\.Sdk\.Web"/.test(proj) || /Microsoft\.AspNetCore/.test(proj)) out.push({ category: 'framework', name: 'ASP.NET Core', version: null, source });
+    if (/Sdk="Microsoft\.NET\.Sdk\.(WindowsDesktop|Razor|BlazorWebAssembly)"|Microsoft\.Maui/.test(proj)) out.push({ category: 'framework', name: /Maui/.test(proj) ? '.NET MAUI' : 'Blazor / Desktop', version: null, source });
+    const ref = name => (proj.match(new RegExp(`PackageReference\\s+Include="${name}[^"]*"\\s+Version="([^"]+)"`)) || [])[1];
+    for (const [pkg, category, name] of [['xunit', 'test', 'xUnit'], ['NUnit', 'test', 'NUnit'], ['MSTest', 'test', 'MSTest'], ['Microsoft.EntityFrameworkCore', 'data', 'Entity Framework Core'], ['Dapper', 'data', 'Dapper']]) {
+      if (new RegExp(`PackageReference\\s+Include="${pkg}`).test(proj)) out.push({ category, name, version: versionOf(ref(pkg)), source });
+    }
+    out.push({ category: 'build', name: 'dotnet (MSBuild)', version: null, source });
+  }
+  return out;
+}
+
+function detectInfraStack(dir) {
+  if (dir !== '.') return [];
+  const out = [];
+  const docker = ['Dockerfile', 'docker-compose.yml', 'docker-compose.yaml', 'compose.yaml', 'compose.yml'].find(f => fs.existsSync(f));
+  if (docker) out.push({ category: 'infra', name: 'Docker', version: null, source: docker });
+  // Our own commit-policy workflow does not count
+  const workflows = (() => {
+    try {
+      return fs.readdirSync('.github/workflows').filter(f => f !== 'commit-policy.yml');
+    } catch {
+      return [];
+    }
+  })();
+  if (workflows.length) out.push({ category: 'infra', name: 'GitHub Actions', version: null, source: '.github/workflows' });
+  if (fs.existsSync('.gitlab-ci.yml')) out.push({ category: 'infra', name: 'GitLab CI', version: null, source: '.gitlab-ci.yml' });
+  const tf = (() => {
+    try {
+      return fs.readdirSync('.').find(f => f.endsWith('.tf'));
+    } catch {
+      return null;
+    }
+  })();
+  if (tf) out.push({ category: 'infra', name: 'Terraform', version: null, source: tf });
+  return out;
+}
+
+const STACK_DETECTORS = [
+  { id: 'node', detect: detectNodeStack },
+  { id: 'python', detect: detectPythonStack },
+  { id: 'go', detect: detectGoStack },
+  { id: 'rust', detect: detectRustStack },
+  { id: 'jvm', detect: detectJvmStack },
+  { id: 'ruby', detect: detectRubyStack },
+  { id: 'php', detect: detectPhpStack },
+  { id: 'dotnet', detect: detectDotnetStack },
+  { id: 'infra', detect: detectInfraStack },
+];
+
+function detectStack() {
+  // Root + every workspace package; one entry per (category, name) with all versions and sources seen
+  const dirs = ['.', ...detectWorkspaces().packages.map(p => p.dir)];
+  const merged = new Map();
+  for (const dir of dirs) {
+    for (const detector of STACK_DETECTORS) {
+      let entries = [];
       try {
-        const entries = fs.readdirSync('.', { withFileTypes: true });
-        hasCsproj = entries.some(e => e.isFile() && e.name.endsWith('.csproj'));
+        entries = detector.detect(dir);
       } catch {
-        // ignore
+        // a broken manifest must not abort init
+      }
+      for (const e of entries) {
+        const key = `${e.category}:${e.name}`;
+        const prev = merged.get(key) || { category: e.category, name: e.name, versions: [], sources: [] };
+        if (e.version && !prev.versions.includes(e.version)) prev.versions.push(e.version);
+        if (!prev.sources.includes(e.source)) prev.sources.push(e.source);
+        merged.set(key, prev);
       }
     }
-    if (hasCsproj) detected.push('- .NET');
+  }
+  // Untyped workspace packages in a TypeScript monorepo are not a second language
+  if (merged.has('language:TypeScript')) merged.delete('language:JavaScript');
+  const stack = { version: 1, generator: `bootstrap.js ${BOOTSTRAP_VERSION}` };
+  for (const [category] of STACK_CATEGORIES) {
+    stack[category] = [...merged.values()].filter(e => e.category === category).map(({ name, versions, sources }) => ({ name, versions, sources }));
+  }
+  return stack;
+}
 
-    // Containers
-    if (fs.existsSync('Dockerfile') || fs.existsSync('docker-compose.yml') || fs.existsSync('compose.yaml')) detected.push('- Docker');
-  } catch {
-    // ignore
+function renderStackSummary(stack) {
+  const lines = [];
+  for (const [category, label] of STACK_CATEGORIES) {
+    if (!stack[category].length) continue;
+    lines.push(`- ${label}: ${stack[category].map(e => (e.versions.length ? `${e.name} ${e.versions.join(' / ')}` : e.name)).join(', ')}`);
   }
+  return lines;
+}
+
+function detectTechStack() {
+  const lines = renderStackSummary(detectStack());
+  return lines.length ? [...lines, `- (machine-readable: ${STACK_PATH})`].join('\n') : '- Unable to detect tech stack';
+}
 
-  return detected.length ? detected.join('\n') : '- Unable to detect tech stack';
+function writeStackFile(stack = detectStack()) {
+  // Regenerated on every init / `stack sync`; not tracked in the install manifest like templates
+  ensureDir(path.dirname(STACK_PATH));
+  fs.writeFileSync(STACK_PATH, JSON.stringify(stack, null, 2) + '\n', 'utf8');
+}
+
+function runStackCommand(sub) {
+  const stack = detectStack();
+  if (sub === 'sync') {
+    writeStackFile(stack);
+    log(`✅ Wrote ${STACK_PATH}`, 'green');
+    return 0;
+  }
+  if (sub && sub !== 'show') {
+    log(`Unknown stack subcommand: ${sub} (expected: show | sync)`, 'red');
+    return 1;
+  }
+  const lines = renderStackSummary(stack);
+  log('Detected tech stack:', 'cyan');
+  if (!lines.length) log('  (nothing detected)', 'dim');
+  for (const l of lines) log(`  ${l}`);
+  const current = safeRead(STACK_PATH);
+  const fresh = JSON.stringify(stack, null, 2) + '\n';
+  if (current === fresh) {
+    log(`  ✓ ${STACK_PATH} in sync`, 'green');
+    return 0;
+  }
+  log(`  ✗ ${STACK_PATH} ${current ? 'out of sync' : 'missing'}`, 'red');
+  log(`    ↪ Run: node ${SCRIPT_PATH} stack sync`, 'dim');
+  return 1;
 }
 
 function createDirectories() {
   const dirs = [
     'docs/adr',
+    '.ai-dev',
     '.mcp',
     'scripts',
     '.serena',
@@ -236,132 +880,659 @@ function createDirectories() {
   }
 }
 
+// Lines the ai-dev block of .gitignore must contain; checked one by one so that repos set up by an
+// older version get the entries added since
+const GITIGNORE_ARTIFACTS = [
+  '.mcp/context.xml',
+  '.mcp/context_incremental.txt',
+  '.mcp/post-commit.log',
+  '.mcp/branches/',
+  '.mcp/packages/',
+  '.mcp/*.meta.json',
+  '.mcp/*.redactions.json',
+  '.mcp/snapshot.lock',
+  '.mcp/snapshot.pending',
+  '.mcp/*.tmp-*',
+  '.ai-dev/manifest.json',
+  '.ai-dev/base/',
+  '.ai-dev-backup-*/',
+];
+const GITIGNORE_SECRETS = ['.env'];
+
+function missingGitignoreEntries(content = safeRead('.gitignore')) {
+  const present = new Set(content.split(/\r?\n/).map(l => l.trim()));
+  return [...GITIGNORE_ARTIFACTS, ...GITIGNORE_SECRETS].filter(e => !present.has(e));
+}
+
 function ensureGitignore() {
   const gitignorePath = '.gitignore';
-  const mcpSection = `
-# AI Development System - Generated Artifacts
-.mcp/context.xml
-.mcp/context_incremental.txt
-.mcp/post-commit.log
-.ai-dev-backup-*/
-
-# Environment (secrets)
-.env
-`;
-
   let content = fs.existsSync(gitignorePath)
     ? fs.readFileSync(gitignorePath, 'utf8')
     : '';
 
-  if (content.includes('.mcp/context.xml')) {
+  const missing = missingGitignoreEntries(content);
+  if (!missing.length) {
     log(' ✓ .gitignore already configured', 'green');
     return;
   }
 
+  const artifacts = GITIGNORE_ARTIFACTS.filter(e => missing.includes(e));
+  const secrets = GITIGNORE_SECRETS.filter(e => missing.includes(e));
+  const mcpSection = [
+    '',
+    ...(artifacts.length ? ['# AI Development System - Generated Artifacts', ...artifacts, ''] : []),
+    ...(secrets.length ? ['# Environment (secrets)', ...secrets, ''] : []),
+  ].join('\n');
+
   const newContent = content.trimEnd() + mcpSection + '\n';
   fs.writeFileSync(gitignorePath, newContent, 'utf8');
-  log(' ✓ Updated .gitignore', 'green');
+  if (installManifest) {
+    // One record per appended section (an upgrade from an older version appends a second one)
+    const sections = [].concat(installManifest.gitignore || []);
+    installManifest.gitignore = [...sections, { section: mcpSection, createdFile: !content }];
+    saveInstallManifest();
+  }
+  const partial = missing.length < GITIGNORE_ARTIFACTS.length + GITIGNORE_SECRETS.length;
+  log(` ✓ Updated .gitignore${partial ? ` (added ${missing.join(', ')})` : ''}`, 'green');
 }
 
-function createDocs(projectType) {
-  const isDegraded = projectType === 'existing';
+const POLICY_PATH = '.ai-dev/policy.json';
+const POLICY_BLOCK_START = '<!-- ai-dev:policy:start -->';
+const POLICY_BLOCK_END = '<!-- ai-dev:policy:end -->';
+
+function defaultPolicy() {
+  return {
+    // Main commit types; "checkpointType" is the micro-checkpoint type.
+    types: ['feat', 'fix', 'refactor', 'docs', 'test', 'chore', 'perf', 'build', 'ci'],
+    checkpointType: 'checkpoint',
+    scopes: {
+      required: false,
+      // Non-empty list = only these scopes are allowed; otherwise "pattern" applies.
+      allowed: [],
+      // POSIX ERE compatible (also used by the shell hook and CI)
+      pattern: '[a-z0-9_-]+',
+    },
+    maxSubjectLength: 100,
+    // Types whose commits must have a message body (e.g. ["feat"])
+    requireBodyFor: [],
+  };
+}
 
-  const degradedBlock = isDegraded
-    ? `> ⚠️ **DEGRADED MODE TEMPLATE**
->
-> **For AI (Claude Code/Cursor):**
-> - This file is INCOMPLETE. Treat recommendations as SUGGESTIONS only.
-> - Before making architectural changes, request human review.
-> - Prioritize incremental changes over redesigns.
-> - If something is unclear, ASK. State assumptions explicitly.
->
-> **For Developers:**
-> - Review and complete all sections marked with [TODO]
-> - Document your current architecture truthfully
-> - Update this file as you refine the system
-> - Remove this warning when complete
->
-> **To exit degraded mode:** Complete all [TODO] sections below.
->
----
+function loadPolicy() {
+  const defaults = defaultPolicy();
+  const raw = safeRead(POLICY_PATH);
+  if (!raw.trim()) return defaults;
+  let cfg;
+  try {
+    cfg = JSON.parse(raw);
+  } catch {
+    log(`  ⚠️  ${POLICY_PATH} is not valid JSON; using the default policy.`, 'yellow');
+    return defaults;
+  }
+  const policy = {
+    ...defaults,
+    ...cfg,
+    scopes: { ...defaults.scopes, ...(cfg.scopes || {}) },
+  };
+  if (!Array.isArray(policy.types) || !policy.types.length) policy.types = defaults.types;
+  if (!Array.isArray(policy.scopes.allowed)) policy.scopes.allowed = [];
+  if (!Array.isArray(policy.requireBodyFor)) policy.requireBodyFor = [];
+  policy.scopes.pattern = String(policy.scopes.pattern || defaults.scopes.pattern).replace(/^\^/, '').replace(/\$$/, '');
+  return policy;
+}
 
-`
-    : '';
+function createPolicyFile() {
+  writeFileSafe(POLICY_PATH, JSON.stringify(defaultPolicy(), null, 2) + '\n', { overwrite: false });
+}
 
-  const architecture = `# ARCHITECTURE
+function policyHash(policy) {
+  return crypto.createHash('sha256').update(JSON.stringify(policy)).digest('hex').slice(0, 12);
+}
 
-${degradedBlock}## Purpose
-${isDegraded ? '[TODO: Describe what this system does and why it exists]' : 'Describe what this system does and why it exists.'}
+function escapeEre(s) {
+  return String(s).replace(/[.[\]()*+?{}|^$\\]/g, '\\$&');
+}
 
-## System Invariants (Non‑Negotiable)
-- LLMs are executors, not sources of truth
-- Repo (Git) is the source of truth
-- Architecture docs > code
-- Decisions are written (ADR), not implied
-- Context is rebuilt from the repository snapshot, not from chat history
+function policyRegexParts(policy) {
+  // The subject rule, shared by the shell hook fallback and the JS validator (which only adds explanations).
+  // Exactly one space after the colon: the description starts with a non-space character.
+  const types = policy.types.map(escapeEre).join('|');
+  const scopeBody = policy.scopes.allowed.length
+    ? `(${policy.scopes.allowed.map(escapeEre).join('|')})`
+    : `(${policy.scopes.pattern})`;
+  const scope = `(\\(${scopeBody}\\))${policy.scopes.required ? '' : '?'}`;
+  return {
+    main: `^(${types})${scope}: [^ ].*`,
+    checkpoint: `^${escapeEre(policy.checkpointType)}${scope}: [^ ].*`,
+  };
+}
 
-## Modules
-${isDegraded ? `[TODO: List your main modules/components]
+function policyScopeDescription(policy) {
+  const req = policy.scopes.required ? 'required' : 'optional';
+  if (policy.scopes.allowed.length) return `${req}; one of ${policy.scopes.allowed.map(x => `\`${x}\``).join(', ')}`;
+  return `${req}; must match \`${policy.scopes.pattern}\``;
+}
 
-Detected modules (verify):
-${detectModules()}` : '[List your main modules/components]'}
+function renderPolicyConventions(policy) {
+  const scopes = policy.scopes.allowed.length ? policy.scopes.allowed : ['auth', 'api', 'core'];
+  const ex = i => scopes[i % scopes.length];
+  const lines = [
+    `${POLICY_BLOCK_START}`,
+    `<!-- Generated from ${POLICY_PATH}. Edit the policy, then run: node ${SCRIPT_PATH} policy sync -->`,
+    '## Commit Message Policy',
+    '',
+    'All commits MUST follow one of two templates.',
+    '',
+    '### Main commits (feature work)',
+    '`type(scope): short description`',
+    '',
+    `Where \`type\` ∈ \`${policy.types.join('|')}\``,
+    '',
+    `- Scope: ${policyScopeDescription(policy)}`,
+  ];
+  if (policy.maxSubjectLength) lines.push(`- Subject line: at most ${policy.maxSubjectLength} characters`);
+  if (policy.requireBodyFor.length) {
+    lines.push(`- A message body is required for: ${policy.requireBodyFor.map(t => `\`${t}\``).join(', ')}`);
+  }
+  lines.push(
+    '',
+    'Examples:',
+    `- feat(${ex(0)}): add oauth skeleton`,
+    `- fix(${ex(1)}): handle empty token`,
+    `- refactor(${ex(2)}): split router`,
+    '',
+    '### Checkpoint commits (micro checkpoints)',
+    `\`${policy.checkpointType}(scope): short description\``,
+    '',
+    'Examples:',
+    `- ${policy.checkpointType}(${ex(0)}): adjust spacing`,
+    `- ${policy.checkpointType}(${ex(1)}): update wording`,
+    '',
+    'Enforcement:',
+    `- Policy source: ${POLICY_PATH}`,
+    '- Local git hook: .git/hooks/commit-msg',
+    '- CI safety net: .github/workflows/commit-policy.yml',
+    `${POLICY_BLOCK_END}`,
+  );
+  return lines.join('\n');
+}
 
-## Tech Stack
-${isDegraded ? `[TODO: Verify and document]
+function readPolicyStamp(filePath) {
+  const m = safeRead(filePath).match(/policy-sha: ([0-9a-f]+)/);
+  return m ? m[1] : null;
+}
 
-Detected (best‑effort):
-${detectTechStack()}` : '[Document your tech stack]'}
+function stampTemplate(content) {
+  // Fills "template-sha: " with a hash of the rendered text (stamp excluded)
+  const unstamped = content.replace(/template-sha: [0-9a-f]*/, 'template-sha: ');
+  return unstamped.replace('template-sha: ', `template-sha: ${contentHash(unstamped).slice(0, 12)}`);
+}
 
-## Context Strategy (Onion Model)
-Layer 0 — Always included:
-- docs/ARCHITECTURE.md
-- docs/CONVENTIONS.md
-- latest ADRs (docs/adr)
+function readTemplateStamp(content) {
+  const m = content.match(/template-sha: ([0-9a-f]+)/);
+  return m ? m[1] : null;
+}
 
-Layer 1 — Incremental delta:
-- git diff against base branch (default: main)
-- changed files content
+function policyArtifactInSync(filePath, policy) {
+  // In sync = the stamp still matches the file body (no hand edits) and the template we would render now
+  const content = safeRead(filePath);
+  const expected = filePath.endsWith('commit-policy.yml') ? renderCommitPolicyWorkflow() : renderCommitMsgHook(policy);
+  return !!readTemplateStamp(content) && stampTemplate(content) === content && readTemplateStamp(content) === readTemplateStamp(expected);
+}
 
-Layer 2 — Dynamic expansion (on demand):
-- callers / references / dependencies
-- retrieved via Serena (optional)
+function syncPolicyArtifacts() {
+  const policy = loadPolicy();
+  log(`🔁 Syncing commit policy artifacts from ${POLICY_PATH} (policy-sha: ${policyHash(policy)})`, 'cyan');
+
+  const hook = ownHookPath('commit-msg');
+  const workflow = '.github/workflows/commit-policy.yml';
+  createBackup([hook, workflow, 'docs/CONVENTIONS.md']);
+  writeFileSafe(hook, renderCommitMsgHook(policy), { overwrite: true });
+  chmodSafe(hook, 0o755);
+  writeFileSafe(workflow, renderCommitPolicyWorkflow(), { overwrite: true });
+
+  const conventions = safeRead('docs/CONVENTIONS.md');
+  const start = conventions.indexOf(POLICY_BLOCK_START);
+  const end = conventions.indexOf(POLICY_BLOCK_END);
+  if (start === -1 || end === -1 || end < start) {
+    log(`  ⚠️  docs/CONVENTIONS.md has no ${POLICY_BLOCK_START} block; update its commit policy section by hand.`, 'yellow');
+    return 1;
+  }
+  const updated = conventions.slice(0, start) + renderPolicyConventions(policy) + conventions.slice(end + POLICY_BLOCK_END.length);
+  writeFileSafe('docs/CONVENTIONS.md', updated, { overwrite: true });
+  return 0;
+}
 
-## Operating Rules
-- Use **meaningful commits** as checkpoints of intent (even if small)
-- After each commit: regenerate snapshot (.mcp/context.xml)
-- Use ADRs for architectural decisions that change boundaries, invariants, or contracts
-`;
+const TYPE_ALIASES = {
+  feature: 'feat', features: 'feat', added: 'feat', add: 'feat',
+  fixed: 'fix', fixes: 'fix', fixing: 'fix', bugfix: 'fix', hotfix: 'fix', bug: 'fix',
+  doc: 'docs', documentation: 'docs',
+  tests: 'test', testing: 'test',
+  refactoring: 'refactor', refactored: 'refactor',
+  chores: 'chore',
+  performance: 'perf',
+};
 
-  const conventions = `# CONVENTIONS
+function typeAliases(policy) {
+  // Work-in-progress words map to whatever the policy calls its checkpoint type
+  return { ...TYPE_ALIASES, wip: policy.checkpointType, checkpoint: policy.checkpointType };
+}
 
-## Commit Message Policy
+function levenshtein(a, b) {
+  const dp = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) dp[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      dp[i][j] = Math.min(dp[i - 1][j] + 1, dp[i][j - 1] + 1, dp[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+  }
+  return dp[a.length][b.length];
+}
 
-All commits MUST follow one of two templates.
+function closestMatch(value, candidates, maxDistance = 2) {
+  let best = null;
+  for (const c of candidates) {
+    const d = levenshtein(value, c);
+    if (d <= maxDistance && (!best || d < best.d)) best = { c, d };
+  }
+  return best ? best.c : null;
+}
 
-### Main commits (feature work)
-\`type(scope): short description\`
+function stripCommitComments(message) {
+  // Drop "# ..." lines and everything below the "git commit -v" scissors line
+  const lines = [];
+  for (const line of String(message).replace(/\r/g, '').split('\n')) {
+    if (/^# -+ >8 -+$/.test(line)) break;
+    if (line.startsWith('#')) continue;
+    lines.push(line);
+  }
+  while (lines.length && !lines[0].trim()) lines.shift();
+  return lines;
+}
 
-Where \`type\` ∈ \`feat|fix|refactor|docs|test|chore\`
+function lintCommitScope(rawScope, policy, errors) {
+  // Returns the corrected scope (or undefined when none can be inferred)
+  if (rawScope === undefined) {
+    if (policy.scopes.required) errors.push('missing scope (required by policy)');
+    return undefined;
+  }
+  const trimmed = rawScope.trim();
+  if (!trimmed) {
+    errors.push(`empty scope \`()\`${policy.scopes.required ? ' (a scope is required)' : ''}`);
+    return undefined;
+  }
+  if (trimmed !== rawScope) errors.push(`whitespace inside scope \`(${rawScope})\``);
 
-Examples:
-- feat(auth): add oauth skeleton
-- fix(api): handle empty token
-- refactor(core): split router
+  const allowed = policy.scopes.allowed;
+  const scopeRe = new RegExp(`^(?:${policy.scopes.pattern})$`);
+  const isValid = x => (allowed.length ? allowed.includes(x) : scopeRe.test(x));
+  const lower = trimmed.toLowerCase();
 
-### Checkpoint commits (micro checkpoints)
-\`checkpoint(scope): short description\`
+  if (isValid(trimmed)) return trimmed;
+  if (isValid(lower)) {
+    errors.push(`uppercase scope \`${trimmed}\` (use \`${lower}\`)`);
+    return lower;
+  }
+  if (allowed.length) {
+    const guess = closestMatch(lower, allowed);
+    errors.push(`scope \`${trimmed}\` is not allowed${guess ? ` (did you mean \`${guess}\`?)` : ''}; allowed: ${allowed.join(', ')}`);
+    return guess || undefined;
+  }
+  errors.push(`scope \`${trimmed}\` does not match \`${policy.scopes.pattern}\``);
+  const dashed = lower.replace(/\s+/g, '-');
+  return scopeRe.test(dashed) ? dashed : undefined;
+}
 
-Examples:
-- checkpoint(ui): adjust spacing
-- checkpoint(docs): update wording
+function lintCommitMessage(message, policy = loadPolicy()) {
+  const lines = stripCommitComments(message);
+  const subject = lines[0] || '';
+  const body = lines.slice(1).join('\n').trim();
+  const errors = [];
 
-Enforcement:
-- Local git hook: .git/hooks/commit-msg
-- CI safety net: .github/workflows/commit-policy.yml
+  if (/^(Merge |Revert )/.test(subject)) return { ok: true, skipped: true, subject, errors, suggestion: null };
+  if (!subject.trim()) {
+    errors.push('empty commit message');
+    return { ok: false, subject, errors, suggestion: null };
+  }
 
-## Degraded Mode
+  const allTypes = [...policy.types, policy.checkpointType];
+  const m = subject.match(/^(\s*)([A-Za-z][\w-]*)(\s*)(?:\(([^)]*)\))?(\s*)(:?)(\s*)(.*)$/);
+
+  let type = null;
+  let scope;
+  let description = subject.trim();
+  const lower = m ? m[2].toLowerCase() : '';
+  const aliases = typeAliases(policy);
+  const aliased = allTypes.includes(lower) ? lower : allTypes.includes(aliases[lower]) ? aliases[lower] : null;
+
+  if (m && (m[6] || aliased)) {
+    const [, lead, rawType, gapBeforeScope, rawScope, gapBeforeColon, colon, gapAfterColon, rest] = m;
+    description = rest.trim();
+    if (lead) errors.push('leading whitespace before the type');
+
+    if (allTypes.includes(rawType)) {
+      type = rawType;
+    } else if (allTypes.includes(lower)) {
+      errors.push(`uppercase type \`${rawType}\` (use \`${lower}\`)`);
+      type = lower;
+    } else {
+      const guess = aliased || closestMatch(lower, allTypes);
+      errors.push(`unknown type \`${rawType}\`${guess ? ` (did you mean \`${guess}\`?)` : ''}; allowed: ${allTypes.join(', ')}`);
+      type = guess;
+    }
 
-If docs/ARCHITECTURE.md contains "DEGRADED MODE TEMPLATE":
+    if (rawScope !== undefined && gapBeforeScope) errors.push('unexpected space between type and scope');
+    if (!colon) {
+      errors.push('missing colon after type/scope (expected `type(scope): description`)');
+    } else {
+      if (gapBeforeColon || (rawScope === undefined && gapBeforeScope)) errors.push('unexpected space before colon');
+      if (!gapAfterColon && rest) errors.push('missing space after colon');
+      else if (gapAfterColon.length > 1) errors.push('more than one space after colon');
+    }
+    scope = lintCommitScope(rawScope, policy, errors);
+  } else {
+    errors.push('missing `type(scope): ` prefix');
+  }
+
+  if (!description) errors.push('missing description after the colon');
+  if (policy.maxSubjectLength && subject.length > policy.maxSubjectLength) {
+    errors.push(`subject is ${subject.length} characters (max ${policy.maxSubjectLength})`);
+  }
+  if (type && policy.requireBodyFor.includes(type) && !body) {
+    errors.push(`a message body is required for \`${type}\` commits (add a blank line, then the body)`);
+  }
+  // The shared regex has the last word, so node and the no-node hook fallback always agree
+  const re = policyRegexParts(policy);
+  if (!errors.length && !new RegExp(re.main).test(subject) && !new RegExp(re.checkpoint).test(subject)) {
+    errors.push('subject does not match the commit policy format `type(scope): description`');
+  }
+
+  // Suggest a corrected subject only when it would pass the subject rules
+  let suggestion = null;
+  if (errors.length && type && description) {
+    const candidate = `${type}${scope ? `(${scope})` : ''}: ${description}`;
+    const fits = !policy.maxSubjectLength || candidate.length <= policy.maxSubjectLength;
+    if (candidate !== subject && fits && (new RegExp(re.main).test(candidate) || new RegExp(re.checkpoint).test(candidate))) {
+      suggestion = candidate;
+    }
+  }
+
+  return { ok: errors.length === 0, subject, errors, suggestion };
+}
+
+function promptSync(question) {
+  // Synchronous line read from the terminal (stdin must be a TTY)
+  process.stdout.write(question);
+  const buf = Buffer.alloc(1);
+  let answer = '';
+  try {
+    while (fs.readSync(0, buf, 0, 1, null) === 1) {
+      const ch = buf.toString('utf8');
+      if (ch === '\n') break;
+      answer += ch;
+    }
+  } catch {
+    return '';
+  }
+  return answer.replace(/\r$/, '').trim();
+}
+
+function replaceCommitSubject(message, newSubject) {
+  const lines = String(message).split('\n');
+  const idx = lines.findIndex(l => !l.startsWith('#') && l.trim());
+  if (idx === -1) return message;
+  lines[idx] = newSubject + (lines[idx].endsWith('\r') ? '\r' : '');
+  return lines.join('\n');
+}
+
+function runLintCommitCommand(file, options) {
+  if (!file) {
+    log(`Usage: node ${SCRIPT_PATH} lint-commit <message-file> [--fix]`, 'cyan');
+    return 1;
+  }
+  const message = safeRead(file);
+  const policy = loadPolicy();
+  const res = lintCommitMessage(message, policy);
+  if (res.ok) {
+    addGuardOverrideTrailer(file);
+    return 0;
+  }
+
+  log('');
+  log('❌ Invalid commit message:', 'red');
+  log(`   ${res.subject}`);
+  log('');
+  for (const e of res.errors) log(`  - ${e}`, 'yellow');
+  log('');
+
+  if (res.suggestion) {
+    log(`Suggested subject: ${res.suggestion}`, 'cyan');
+    const rewrite = options.fix
+      ? true
+      : process.stdin.isTTY && !options['no-prompt'] && /^y(es)?$/i.test(promptSync('Rewrite the commit message with the suggested subject? [y/N] '));
+    if (rewrite) {
+      const updated = replaceCommitSubject(message, res.suggestion);
+      const again = lintCommitMessage(updated, policy);
+      if (again.ok) {
+        fs.writeFileSync(file, updated, 'utf8');
+        log(`✓ Commit message rewritten: ${res.suggestion}`, 'green');
+        addGuardOverrideTrailer(file);
+        return 0;
+      }
+      for (const e of again.errors) log(`  - ${e}`, 'yellow');
+    }
+  }
+
+  const scopeHint = policy.scopes.allowed.length ? policy.scopes.allowed.join('|') : 'scope';
+  log(`Expected: <type>(${scopeHint}): <description>   type ∈ ${[...policy.types, policy.checkpointType].join('|')}`, 'dim');
+  log(`Policy: ${POLICY_PATH}`, 'dim');
+  log('');
+  return 1;
+}
+
+function resolveLintRange(range, options) {
+  // Returns git rev-list arguments; unresolvable "A..B" starts (new branch, shallow or
+  // short history, all-zero SHAs) fall back instead of failing like "HEAD~50..HEAD" did.
+  const maxCount = options['max-count'] !== undefined ? Number(options['max-count']) : 50;
+  const m = range.match(/^(.*?)\.\.\.?(.*)$/);
+  const head = m ? m[2] || 'HEAD' : range;
+  const limit = options['max-count'] !== undefined ? [`--max-count=${maxCount}`] : [];
+
+  if (!gitRefExists(head)) return { error: `"${head}" is not a valid revision` };
+  if (m && m[1] && !gitRefExists(m[1])) {
+    if (options['exclude-remotes']) {
+      return { args: [head, '--not', '--remotes', ...limit], note: `"${m[1]}" not found; checking commits of ${head} not on any remote` };
+    }
+    return { args: [`--max-count=${maxCount}`, head], note: `"${m[1]}" not found; checking the last ${maxCount} commits of ${head}` };
+  }
+  return { args: [range, ...(options['exclude-remotes'] ? ['--not', '--remotes'] : []), ...limit] };
+}
+
+function listCommitMessages(revArgs) {
+  const out = gitOutput(['log', '--no-color', '--format=%H%x1f%B%x1e', ...revArgs]);
+  return out
+    .split('\x1e')
+    .map(chunk => chunk.replace(/^\n/, ''))
+    .filter(Boolean)
+    .map(chunk => {
+      const [sha, message] = chunk.split('\x1f');
+      return { sha, message: message || '' };
+    });
+}
+
+function runLintCommitsCommand(range, options) {
+  range = range || '@{upstream}..HEAD';
+  const json = !!options.json;
+  if (options['max-count'] !== undefined && !(Number.isInteger(Number(options['max-count'])) && Number(options['max-count']) > 0)) {
+    log(`✗ --max-count must be a positive integer (got "${options['max-count']}")`, 'red');
+    return 2;
+  }
+  const resolved = resolveLintRange(range, options);
+  if (resolved.error) {
+    if (json) process.stdout.write(JSON.stringify({ range, ok: false, error: resolved.error }, null, 2) + '\n');
+    else log(`✗ ${resolved.error}`, 'red');
+    return 2;
+  }
+
+  const policy = loadPolicy();
+  const commits = listCommitMessages(resolved.args).map(c => {
+    const res = lintCommitMessage(c.message, policy);
+    return { sha: c.sha, subject: res.subject, ok: res.ok, skipped: !!res.skipped, errors: res.errors, suggestion: res.suggestion };
+  });
+  const failed = commits.filter(c => !c.ok);
+
+  if (json) {
+    const report = { range, note: resolved.note || null, ok: failed.length === 0, checked: commits.length, failed: failed.length, commits };
+    process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+    return failed.length ? 1 : 0;
+  }
+
+  log(`Validating commit messages in ${range} (policy: ${fs.existsSync(POLICY_PATH) ? POLICY_PATH : 'built-in defaults'})`, 'cyan');
+  if (resolved.note) log(`  ↪ ${resolved.note}`, 'yellow');
+  for (const c of commits) {
+    const short = c.sha.slice(0, 7);
+    if (c.ok) {
+      log(`  ✓ ${short} ${c.subject}${c.skipped ? ' (skipped)' : ''}`, 'green');
+      continue;
+    }
+    log(`  ✗ ${short} ${c.subject}`, 'red');
+    for (const e of c.errors) log(`      - ${e}`, 'yellow');
+    if (c.suggestion) log(`      ↪ suggested: ${c.suggestion}`, 'dim');
+  }
+  if (failed.length) {
+    log(`\n❌ ${failed.length}/${commits.length} commit(s) violate the commit policy.`, 'red');
+    log('   Fix with: git rebase -i <base> (reword), then push again.', 'dim');
+    return 1;
+  }
+  log(`\n✅ Commit policy passed (${commits.length} commit(s)).`, 'green');
+  return 0;
+}
+
+function runPolicyCommand(sub) {
+  if (sub === 'sync') return syncPolicyArtifacts();
+  if (sub && sub !== 'show') {
+    log(`Unknown policy subcommand: ${sub} (expected: show | sync)`, 'red');
+    return 1;
+  }
+  const policy = loadPolicy();
+  log(`Commit policy (${fs.existsSync(POLICY_PATH) ? POLICY_PATH : 'built-in defaults'}), policy-sha: ${policyHash(policy)}`, 'cyan');
+  log(`  types:      ${policy.types.join(', ')} (+ ${policy.checkpointType})`);
+  log(`  scope:      ${policyScopeDescription(policy).replace(/`/g, '')}`);
+  log(`  max length: ${policy.maxSubjectLength || 'unlimited'}`);
+  log(`  body for:   ${policy.requireBodyFor.join(', ') || '(none)'}`);
+  let drift = 0;
+  for (const f of [ownHookPath('commit-msg'), '.github/workflows/commit-policy.yml']) {
+    if (policyArtifactInSync(f, policy)) {
+      log(`  ✓ ${f} in sync`, 'green');
+    } else {
+      log(`  ✗ ${f} ${fs.existsSync(f) ? 'out of sync' : 'missing'}`, 'red');
+      drift = 1;
+    }
+  }
+  if (drift) log(`    ↪ Run: node ${SCRIPT_PATH} policy sync`, 'dim');
+  return drift;
+}
+
+// Placeholder lines of the ARCHITECTURE.md sections that architecture draft may fill
+const ARCHITECTURE_PLACEHOLDERS = {
+  modulesTodo: '[TODO: List your main modules/components]',
+  modulesWorkspaces: '[Describe your main modules/components]',
+  modules: '[List your main modules/components]',
+  modulesDetected: 'Detected modules (verify):',
+  stackTodo: '[TODO: Verify and document]',
+  stack: '[Document your tech stack]',
+  stackDetected: 'Detected (best‑effort):',
+  dataTodo: '[TODO: Document data stores, external services, HTTP surface and required environment variables]',
+  data: '[Document data stores, external services, HTTP surface and required environment variables]',
+};
+
+// Degraded mode: the banner stays until every [TODO] in ARCHITECTURE.md is resolved
+const DEGRADED_BANNER = 'DEGRADED MODE TEMPLATE';
+
+function createDocs(projectType) {
+  const P = ARCHITECTURE_PLACEHOLDERS;
+  const isDegraded = projectType === 'existing';
+  const workspaces = detectWorkspaces();
+
+  const degradedBlock = isDegraded
+    ? `> ⚠️ **${DEGRADED_BANNER}**
+>
+> **For AI (Claude Code/Cursor):**
+> - This file is INCOMPLETE. Treat recommendations as SUGGESTIONS only.
+> - Before making architectural changes, request human review.
+> - Prioritize incremental changes over redesigns.
+> - If something is unclear, ASK. State assumptions explicitly.
+>
+> **For Developers:**
+> - Review and complete all sections marked with [TODO]
+> - Prefill Modules / Tech Stack / Data & Integrations from the code: \`node ${SCRIPT_PATH} architecture draft\`
+> - Document your current architecture truthfully
+> - Update this file as you refine the system
+>
+> **To exit degraded mode:** Complete all [TODO] sections below, then run \`node ${SCRIPT_PATH} architecture finalize\` (\`node ${SCRIPT_PATH} check\` shows progress).
+>
+---
+
+`
+    : '';
+
+  const architecture = `# ARCHITECTURE
+
+${degradedBlock}## Purpose
+${isDegraded ? '[TODO: Describe what this system does and why it exists]' : 'Describe what this system does and why it exists.'}
+
+## System Invariants (Non‑Negotiable)
+- LLMs are executors, not sources of truth
+- Repo (Git) is the source of truth
+- Architecture docs > code
+- Decisions are written (ADR), not implied
+- Context is rebuilt from the repository snapshot, not from chat history
+
+## Modules
+${isDegraded ? `${P.modulesTodo}
+
+${P.modulesDetected}
+${detectModules()}` : workspaces.packages.length ? `${P.modulesWorkspaces}
+
+${renderWorkspacePackages(workspaces)}` : P.modules}
+
+## Tech Stack
+${isDegraded ? `${P.stackTodo}
+
+${P.stackDetected}
+${detectTechStack()}` : P.stack}
+
+## Data & Integrations
+${isDegraded ? P.dataTodo : P.data}
+
+## Context Strategy (Onion Model)
+Layer 0 — Always included:
+- docs/ARCHITECTURE.md
+- docs/CONVENTIONS.md
+- latest ADRs (docs/adr)
+
+Layer 1 — Incremental delta:
+- git diff against base branch (default: main)
+- changed files content
+
+Layer 2 — Dynamic expansion (on demand):
+- callers / references / dependencies
+- retrieved via Serena (optional)
+- or built-in import graph: node ${SCRIPT_PATH} context --expand
+
+## Operating Rules
+- Use **meaningful commits** as checkpoints of intent (even if small)
+- After each commit: regenerate snapshot (.mcp/context.xml)
+- Use ADRs for architectural decisions that change boundaries, invariants, or contracts
+`;
+
+  const conventions = `# CONVENTIONS
+
+${renderPolicyConventions(loadPolicy())}
+
+## Degraded Mode
+
+If docs/ARCHITECTURE.md contains "DEGRADED MODE TEMPLATE":
 - AI must treat architecture as incomplete
 - AI must ask clarifying questions
 - AI must avoid large refactors without explicit approval
@@ -380,42 +1551,34 @@ Use ADRs for:
 - changing invariants or data flows
 `;
 
-  const adrTemplate = `# ADR-XXX: <Title>
-
-**Status:** Draft | Accepted | Rejected
-**Date:** YYYY-MM-DD
-**Deciders:** <names>
-
-## Context
-<What problem are we solving?>
-
-## Decision
-<What did we decide?>
-
-## Rationale
-<Why this decision?>
-
-## Consequences
-<Good and bad effects>
-
-## Alternatives Considered
-<Other options>
-
-## References
-- Links / docs / PRs
-`;
+  const adrTemplate = renderAdr({ id: 'XXX', title: '<Title>', date: 'YYYY-MM-DD', deciders: '<names>' });
 
   writeFileSafe('docs/ARCHITECTURE.md', architecture, { overwrite: false });
   writeFileSafe('docs/CONVENTIONS.md', conventions, { overwrite: false });
   writeFileSafe('docs/adr/ADR_TEMPLATE.md', adrTemplate, { overwrite: false });
 }
 
-function createCursorRules() {
-  const rules = `# Cursor AI Rules
+const RULES_SOURCE_PATH = '.ai-dev/rules.md';
+const RULES_GENERATED_MARKER = `Generated from ${RULES_SOURCE_PATH}`;
+// Rule files written by bootstrap.js before the shared source existed (no marker): sha256 of the LF-normalized content
+const LEGACY_GENERATED_RULES = {
+  '.cursorrules': ['6b20a5ec22b1aee854d1be3d15ad8c521a38f7a882258724d7b84113d74e11b1'],
+};
+const CURSOR_RULES_DIR = '.cursor/rules';
 
-You operate inside a deterministic AI-assisted development system.
+function defaultRulesSource() {
+  return `<!--
+Shared AI rules: the single source for CLAUDE.md, ${CURSOR_RULES_DIR}/ai-dev-*.mdc and .cursorrules.
+Edit this file, then run: node ${SCRIPT_PATH} rules sync
+
+Each "## " section becomes one Cursor rule file. Sections apply always by default; to scope a
+section to files, put an HTML comment on the line after its heading, for example
+"cursor: globs=docs/**, docs/adr/**" (or "cursor: manual" for rules Cursor should only attach on request).
+-->
 
 ## Absolute rules
+You operate inside a deterministic AI-assisted development system.
+
 - Repo (Git) is the source of truth.
 - Do NOT rely on chat history as source of truth.
 - Follow docs/ARCHITECTURE.md and docs/CONVENTIONS.md.
@@ -423,7 +1586,7 @@ You operate inside a deterministic AI-assisted development system.
 - For architectural changes: create/update an ADR and request approval.
 
 ## Commit policy
-- Suggest commit messages that match CONVENTIONS.md.
+- Suggest commit messages that match CONVENTIONS.md (rules: ${POLICY_PATH}).
 - Prefer **checkpoint** commits for micro-steps during implementation.
 - Prefer **main** commits when completing a meaningful slice.
 
@@ -450,14 +1613,155 @@ If you see in docs/ARCHITECTURE.md:
 - Do not modify docs/ARCHITECTURE.md, docs/CONVENTIONS.md, or ADRs unless explicitly instructed.
 - Avoid deleting files unless explicitly requested.
 `;
+}
+
+function parseRulesSource(text) {
+  const sections = [];
+  let cur = null;
+  for (const line of String(text).replace(/\r/g, '').split('\n')) {
+    const heading = line.match(/^##\s+(.+?)\s*$/);
+    if (heading) {
+      cur = { title: heading[1], alwaysApply: true, globs: [], description: heading[1], lines: [] };
+      sections.push(cur);
+      continue;
+    }
+    if (!cur) continue; // preamble (instructions comment) is not part of any rule
+    const meta = line.match(/^<!--\s*cursor:\s*(.*?)\s*-->$/);
+    if (meta && cur.lines.every(l => !l.trim())) {
+      for (const part of meta[1].split(';').map(x => x.trim()).filter(Boolean)) {
+        const [key, ...rest] = part.split('=');
+        const value = rest.join('=').trim();
+        if (key.trim() === 'globs') {
+          cur.globs = value.split(',').map(g => g.trim()).filter(Boolean);
+          cur.alwaysApply = false;
+        } else if (key.trim() === 'description') {
+          cur.description = value;
+        } else if (key.trim() === 'manual') {
+          cur.alwaysApply = false;
+        } else if (key.trim() === 'alwaysApply') {
+          cur.alwaysApply = true;
+        }
+      }
+      continue;
+    }
+    cur.lines.push(line);
+  }
+  return sections.map(sec => ({ ...sec, body: sec.lines.join('\n').trim() }));
+}
 
-  writeFileSafe('.cursorrules', rules, { overwrite: false });
+function slugify(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'rule';
 }
 
-function createRepomixConfig() {
+function renderRuleOutputs(sections) {
+  // Returns { path: content } for every generated rule artifact
+  const note = `<!-- ${RULES_GENERATED_MARKER}. Edit the source, then run: node ${SCRIPT_PATH} rules sync -->`;
+  const joined = sections.map(sec => `## ${sec.title}\n${sec.body}`).join('\n\n');
+  const outputs = {
+    'CLAUDE.md': `# CLAUDE.md\n\n${note}\n\n${joined}\n`,
+    '.cursorrules': `# Cursor AI Rules\n\n${note}\n\n${joined}\n`,
+  };
+  for (const sec of sections) {
+    const frontMatter = [
+      '---',
+      `description: ${sec.description}`,
+      `globs: ${sec.alwaysApply ? '' : sec.globs.join(',')}`,
+      `alwaysApply: ${sec.alwaysApply}`,
+      '---',
+    ].join('\n');
+    outputs[`${CURSOR_RULES_DIR}/ai-dev-${slugify(sec.title)}.mdc`] = `${frontMatter}\n${note}\n\n# ${sec.title}\n${sec.body}\n`;
+  }
+  return outputs;
+}
+
+function listGeneratedRuleFiles() {
+  let names = [];
+  try {
+    names = fs.readdirSync(CURSOR_RULES_DIR);
+  } catch {
+    return [];
+  }
+  return names
+    .filter(n => n.endsWith('.mdc'))
+    .map(n => `${CURSOR_RULES_DIR}/${n}`)
+    .filter(f => safeRead(f).includes(RULES_GENERATED_MARKER));
+}
+
+function rulesStatus() {
+  // Compares what is on disk with what the current source would generate
+  const outputs = renderRuleOutputs(parseRulesSource(safeRead(RULES_SOURCE_PATH) || defaultRulesSource()));
+  const status = [];
+  for (const [f, content] of Object.entries(outputs)) {
+    const current = fs.existsSync(f) ? safeRead(f) : null;
+    let state = 'ok';
+    if (current === null) state = 'missing';
+    else if (!current.includes(RULES_GENERATED_MARKER) && !(LEGACY_GENERATED_RULES[f] || []).includes(contentHash(current.replace(/\r\n/g, '\n')))) state = 'hand-written';
+    else if (current !== content) state = 'stale';
+    status.push({ path: f, state, content });
+  }
+  for (const f of listGeneratedRuleFiles()) {
+    if (!outputs[f]) status.push({ path: f, state: 'orphaned', content: null });
+  }
+  return status;
+}
+
+function createCursorRules() {
+  // Shared rule source → CLAUDE.md, .cursor/rules/*.mdc and the legacy .cursorrules
+  writeFileSafe(RULES_SOURCE_PATH, defaultRulesSource(), { overwrite: false });
+  for (const s of rulesStatus()) {
+    if (s.content !== null) writeFileSafe(s.path, s.content, { overwrite: false });
+  }
+}
+
+function syncRules({ force = false } = {}) {
+  if (!fs.existsSync(RULES_SOURCE_PATH)) {
+    log(`✗ ${RULES_SOURCE_PATH} not found. Run: node ${SCRIPT_PATH} init`, 'red');
+    return 1;
+  }
+  const status = rulesStatus();
+  const handWritten = status.filter(s => s.state === 'hand-written');
+  if (handWritten.length && !force) {
+    for (const s of handWritten) log(`  ⚠️  ${s.path} was not generated by ${SCRIPT_PATH}; leaving it (use --force to replace, backup is created)`, 'yellow');
+  }
+  const toWrite = status.filter(s => s.state === 'missing' || s.state === 'stale' || (force && s.state === 'hand-written'));
+  const orphaned = status.filter(s => s.state === 'orphaned');
+  if (!toWrite.length && !orphaned.length) {
+    log(`✓ ${handWritten.length && !force ? 'Other rule files are' : 'Rule files are'} up to date with ${RULES_SOURCE_PATH}`, 'green');
+    return handWritten.length && !force ? 1 : 0;
+  }
+
+  createBackup([...toWrite, ...orphaned].map(s => s.path));
+  for (const s of toWrite) writeFileSafe(s.path, s.content, { overwrite: true });
+  for (const s of orphaned) {
+    fs.unlinkSync(s.path);
+    forgetInstall(s.path);
+    log(`  ✓ Removed (section no longer in source): ${s.path}`, 'green');
+  }
+  return handWritten.length && !force ? 1 : 0;
+}
+
+function runRulesCommand(sub, options) {
+  if (sub === 'sync') return syncRules({ force: !!options.force });
+  if (sub && sub !== 'status') {
+    log(`Unknown rules subcommand: ${sub} (expected: status | sync)`, 'red');
+    return 1;
+  }
+  log(`Rule files generated from ${RULES_SOURCE_PATH}:`, 'cyan');
+  let bad = 0;
+  for (const s of rulesStatus()) {
+    const ok = s.state === 'ok';
+    if (!ok) bad = 1;
+    log(`  ${ok ? '✓' : '✗'} ${s.path}${ok ? '' : ` (${s.state})`}`, ok ? 'green' : 'red');
+  }
+  if (bad) log(`    ↪ Run: node ${SCRIPT_PATH} rules sync`, 'dim');
+  return bad;
+}
+
+function defaultRepomixConfig() {
   // Repomix config (Onion Model header + git signals)
   // The actual packed content is controlled by include/ignore patterns.
-  const config = {
+  // The "aiDev" section is read by bootstrap.js only; Repomix ignores unknown keys.
+  return {
     output: {
       filePath: '.mcp/context.xml',
       style: 'xml',
@@ -503,45 +1807,71 @@ function createRepomixConfig() {
       includeLogs: true,
       logsCount: 30,
     },
+    aiDev: {
+      // "native" = built-in packer (Node built-ins only), "repomix" = npx -y repomix
+      snapshotEngine: 'native',
+      // Token budget for generated context (null = unlimited); --max-tokens overrides
+      maxTokens: null,
+      // post-commit: wait this long for more commits before regenerating in the background
+      snapshotDebounceMs: 2000,
+      // Keep one snapshot per branch (.mcp/branches/<branch>/); output.filePath points at the current one
+      branchSnapshots: true,
+    },
   };
+}
 
+function createRepomixConfig() {
+  const config = defaultRepomixConfig();
   writeFileSafe('repomix.config.json', JSON.stringify(config, null, 2) + '\n', { overwrite: false });
 }
 
-function createMcpSnippets() {
-  // These are EXAMPLES only. Real locations vary by OS/client.
-  const claudeExample = {
-    mcpServers: {
-      repomix: {
-        command: 'npx',
-        args: ['-y', 'repomix', '--mcp'],
-      },
-      serena: {
-        command: 'uvx',
-        args: ['--from', 'git+https://github.com/oraios/serena.git', 'serena', 'start-mcp-server'],
-      },
-    },
-  };
+function loadRepomixConfig() {
+  const defaults = defaultRepomixConfig();
+  const raw = safeRead('repomix.config.json');
+  if (!raw.trim()) return defaults;
+  try {
+    const cfg = JSON.parse(raw);
+    return {
+      ...cfg,
+      output: { ...defaults.output, ...(cfg.output || {}) },
+      include: Array.isArray(cfg.include) && cfg.include.length ? cfg.include : defaults.include,
+      ignore: { ...defaults.ignore, ...(cfg.ignore || {}) },
+      git: { ...defaults.git, ...(cfg.git || {}) },
+      aiDev: { ...defaults.aiDev, ...(cfg.aiDev || {}) },
+    };
+  } catch {
+    log('  ⚠️  repomix.config.json is not valid JSON; using defaults.', 'yellow');
+    return defaults;
+  }
+}
 
-  const cursorExample = {
-    mcpServers: {
-      repomix: {
-        command: 'npx',
-        args: ['-y', 'repomix', '--mcp'],
-      },
-      serena: {
-        command: 'uvx',
-        args: ['--from', 'git+https://github.com/oraios/serena.git', 'serena', 'start-mcp-server'],
-      },
+function defaultMcpServers() {
+  return {
+    repomix: {
+      command: 'npx',
+      args: ['-y', 'repomix', '--mcp'],
+    },
+    serena: {
+      command: 'uvx',
+      args: ['--from', 'git+https://github.com/oraios/serena.git', 'serena', 'start-mcp-server'],
     },
   };
+}
+
+function createMcpSnippets() {
+  // These are EXAMPLES only. Real locations vary by OS/client.
+  const claudeExample = { mcpServers: defaultMcpServers() };
+  const cursorExample = { mcpServers: defaultMcpServers() };
 
   writeFileSafe('.mcp/claude_desktop_config.example.json', JSON.stringify(claudeExample, null, 2) + '\n', { overwrite: false });
   writeFileSafe('.mcp/cursor_mcp_config.example.json', JSON.stringify(cursorExample, null, 2) + '\n', { overwrite: false });
 }
 
-function createGitHubAction() {
-  const workflow = `name: Commit Policy
+function renderCommitPolicyWorkflow() {
+  // Rules are read from the policy at runtime by lint-commits, so CI and the local hook cannot disagree.
+  return stampTemplate(`# Commit policy: rules are read at runtime from ${POLICY_PATH} (template-sha: )
+# Same validator as the local hooks: node ${SCRIPT_PATH} lint-commits <range>
+name: Commit Policy
 
 on:
   pull_request:
@@ -556,81 +1886,127 @@ jobs:
         with:
           fetch-depth: 0
 
+      - uses: actions/setup-node@v4
+        with:
+          node-version: 20
+
       - name: Validate commit messages
         shell: bash
         run: |
           set -e
-          BASE="\${{ github.event.pull_request.base.sha }}"
-          HEAD="\${{ github.sha }}"
-
-          # For push events where BASE is empty, validate the last 50 commits.
-          if [ -z "$BASE" ]; then
-            RANGE="HEAD~50..HEAD"
+          if [ "\${{ github.event_name }}" = "pull_request" ]; then
+            RANGE="\${{ github.event.pull_request.base.sha }}..\${{ github.event.pull_request.head.sha }}"
           else
-            RANGE="$BASE..$HEAD"
+            # New branches / force pushes have no usable "before"; lint-commits then
+            # falls back to the last --max-count commits (fewer on short histories).
+            RANGE="\${{ github.event.before }}..\${{ github.sha }}"
           fi
 
-          echo "Validating commit subjects in range: $RANGE"
-          BAD=0
-
-          while IFS= read -r subject; do
-            if [[ "$subject" =~ ^(Merge\ |Revert\ ) ]]; then
-              continue
-            fi
-            if [[ "$subject" =~ ^(feat|fix|refactor|docs|test|chore)(\([a-z0-9_-]+\))?:\ .+ ]]; then
-              continue
-            fi
-            if [[ "$subject" =~ ^checkpoint(\([a-z0-9_-]+\))?:\ .+ ]]; then
-              continue
-            fi
-            echo "❌ Invalid commit subject: $subject"
-            BAD=1
-          done < <(git log --format=%s "$RANGE")
-
-          if [ "$BAD" -eq 1 ]; then
-            echo "Commit policy failed."
+          if [ ! -f "${SCRIPT_PATH}" ]; then
+            echo "❌ ${SCRIPT_PATH} is not committed; cannot validate commit messages."
             exit 1
           fi
 
-          echo "✅ Commit policy passed."
-`;
+          node "${SCRIPT_PATH}" lint-commits "$RANGE" --max-count 50
+`);
+}
 
-  writeFileSafe('.github/workflows/commit-policy.yml', workflow, { overwrite: false });
+function createGitHubAction() {
+  writeFileSafe('.github/workflows/commit-policy.yml', renderCommitPolicyWorkflow(), { overwrite: false });
 }
 
-function createGitHooks({ overwrite = false } = {}) {
-  const commitMsgHook = `#!/bin/sh
-# Commit Message Policy (main + checkpoint)
+function renderCommitMsgHook(policy) {
+  const re = policyRegexParts(policy);
+  const scopeHint = policy.scopes.allowed.length ? policy.scopes.allowed.join('|') : 'scope';
+  const formats = [...policy.types, policy.checkpointType]
+    .map(t => `  echo "  - ${t}(${scopeHint}): description"`)
+    .join('\n');
+  const lengthCheck = policy.maxSubjectLength
+    ? `
+if [ "\${#SUBJECT}" -gt ${policy.maxSubjectLength} ]; then
+  echo ""
+  echo "❌ Commit subject is \${#SUBJECT} characters (max ${policy.maxSubjectLength}):"
+  echo "   $SUBJECT"
+  echo ""
+  exit 1
+fi
+`
+    : '';
+  const bodyCheck = policy.requireBodyFor.length
+    ? `
+case "$SUBJECT" in
+  ${policy.requireBodyFor.map(t => `${t}:*|${t}\\(*`).join('|')})
+    BODY="$(tail -n +2 "$MSG_FILE" | grep -v '^#' | tr -d '[:space:]')"
+    if [ -z "$BODY" ]; then
+      echo ""
+      echo "❌ A message body is required for: ${policy.requireBodyFor.join(', ')}"
+      echo "   $SUBJECT"
+      echo ""
+      exit 1
+    fi
+    ;;
+esac
+`
+    : '';
+
+  return stampTemplate(`#!/bin/sh
+# Commit Message Policy (main + checkpoint) [${HOOK_MARKER}]
+# Generated from ${POLICY_PATH} (policy-sha: ${policyHash(policy)}, template-sha: )
+# Regenerate after editing the policy: node ${SCRIPT_PATH} policy sync
 MSG_FILE="$1"
+
+# Preferred: JS validator (reads the policy at runtime, explains errors, suggests a fix).
+# Git hooks get no stdin; reattach the terminal so it can offer to rewrite the message.
+if [ -f "${SCRIPT_PATH}" ] && command -v node >/dev/null 2>&1; then
+  if [ -t 2 ] && (exec < /dev/tty) 2>/dev/null; then
+    exec node "${SCRIPT_PATH}" lint-commit "$MSG_FILE" < /dev/tty
+  fi
+  exec node "${SCRIPT_PATH}" lint-commit "$MSG_FILE"
+fi
+
+# Fallback (no node): same rules, rendered from the policy
 SUBJECT="$(head -n 1 "$MSG_FILE" | tr -d '\\r')"
 
 # Allow merge/revert commits
 echo "$SUBJECT" | grep -Eq '^(Merge |Revert )' && exit 0
 
+VALID=0
 # Main commits
-echo "$SUBJECT" | grep -Eq '^(feat|fix|refactor|docs|test|chore)(\\([a-z0-9_-]+\\))?: .+' && exit 0
-
+echo "$SUBJECT" | grep -Eq '${re.main}' && VALID=1
 # Checkpoint commits
-echo "$SUBJECT" | grep -Eq '^checkpoint(\\([a-z0-9_-]+\\))?: .+' && exit 0
+echo "$SUBJECT" | grep -Eq '${re.checkpoint}' && VALID=1
+
+if [ "$VALID" -eq 0 ]; then
+  echo ""
+  echo "❌ Invalid commit message:"
+  echo "   $SUBJECT"
+  echo ""
+  echo "Allowed formats:"
+${formats}
+  echo ""
+  exit 1
+fi
+${lengthCheck}${bodyCheck}
+exit 0
+`);
+}
 
-echo ""
-echo "❌ Invalid commit message:"
-echo "   $SUBJECT"
-echo ""
-echo "Allowed formats:"
-echo "  - feat(scope): description"
-echo "  - fix(scope): description"
-echo "  - refactor(scope): description"
-echo "  - docs(scope): description"
-echo "  - test(scope): description"
-echo "  - chore(scope): description"
-echo "  - checkpoint(scope): description"
-echo ""
-exit 1
+function createGitHooks({ overwrite = false, only = null } = {}) {
+  const commitMsgHook = renderCommitMsgHook(loadPolicy());
+
+  const preCommitHook = `#!/bin/sh
+# Pre-commit hook: block staged snapshots/generated files, oversized files and secrets [${HOOK_MARKER}]
+# Deliberate exception (logged to ${GUARD_LOG}): AI_DEV_GUARD_OVERRIDE="<reason>" git commit ...
+
+if [ ! -f "${SCRIPT_PATH}" ] || ! command -v node >/dev/null 2>&1; then
+  echo "[WARN] ${SCRIPT_PATH} or node not found; staged files not checked"
+  exit 0
+fi
+exec node "${SCRIPT_PATH}" guard
 `;
 
   const postCommitHook = `#!/bin/sh
-# Post-commit hook: regenerate deterministic snapshot for handoff (Cursor ⇄ Claude)
+# Post-commit hook: regenerate deterministic snapshot for handoff (Cursor ⇄ Claude) [${HOOK_MARKER}]
 # Non-fatal: commit already happened; we log errors.
 
 LOG_DIR=".mcp"
@@ -639,51 +2015,285 @@ mkdir -p "$LOG_DIR"
 
 echo "---- $(date) ----" >> "$LOG_FILE"
 
-if command -v npx >/dev/null 2>&1; then
-  # Repomix reads repomix.config.json and writes .mcp/context.xml
-  npx -y repomix >> "$LOG_FILE" 2>&1 || echo "[WARN] repomix failed" >> "$LOG_FILE"
+if [ -f "${SCRIPT_PATH}" ] && command -v node >/dev/null 2>&1; then
+  # Built-in packer (no network), detached and debounced: the commit returns immediately and
+  # a burst of commits is coalesced into one run (check with: node ${SCRIPT_PATH} snapshot status)
+  node "${SCRIPT_PATH}" snapshot --background >> "$LOG_FILE" 2>&1 || echo "[WARN] snapshot failed" >> "$LOG_FILE"
+elif command -v npx >/dev/null 2>&1; then
+  # Fallback: Repomix reads repomix.config.json and writes .mcp/context.xml (in the background)
+  ( npx -y repomix >> "$LOG_FILE" 2>&1 || echo "[WARN] repomix failed" >> "$LOG_FILE" ) < /dev/null > /dev/null 2>&1 &
 else
-  echo "[WARN] npx not found; cannot run repomix" >> "$LOG_FILE"
+  echo "[WARN] neither ${SCRIPT_PATH} nor npx available; snapshot not regenerated" >> "$LOG_FILE"
 fi
 
 # Serena is optional; do NOT auto-index here (can be heavy). Provide manual script instead.
 exit 0
 `;
 
-  // Backup if we are overwriting
-  const hookPaths = ['.git/hooks/commit-msg', '.git/hooks/post-commit'];
-  if (overwrite) createBackup(hookPaths);
+  const prePushHook = `#!/bin/sh
+# Pre-push hook: validate the commit messages about to be pushed (same rules as commit-msg) [${HOOK_MARKER}]
+# stdin: <local ref> <local sha> <remote ref> <remote sha>
 
-  writeFileSafe('.git/hooks/commit-msg', commitMsgHook, { overwrite });
-  writeFileSafe('.git/hooks/post-commit', postCommitHook, { overwrite });
+if [ ! -f "${SCRIPT_PATH}" ] || ! command -v node >/dev/null 2>&1; then
+  echo "[WARN] ${SCRIPT_PATH} or node not found; commit messages not validated before push"
+  exit 0
+fi
 
-  chmodSafe('.git/hooks/commit-msg', 0o755);
-  chmodSafe('.git/hooks/post-commit', 0o755);
-}
+STATUS=0
+while read -r LOCAL_REF LOCAL_SHA REMOTE_REF REMOTE_SHA; do
+  # Branch deletion: nothing to validate
+  case "$LOCAL_SHA" in *[!0]*) ;; *) continue ;; esac
+  case "$REMOTE_SHA" in
+    *[!0]*) RANGE="$REMOTE_SHA..$LOCAL_SHA" ;;
+    *) RANGE="$LOCAL_SHA" ;; # new branch
+  esac
+  node "${SCRIPT_PATH}" lint-commits "$RANGE" --exclude-remotes || STATUS=1
+done
 
-function createScripts({ overwrite = false } = {}) {
-  const commitCheckpoint = `#!/bin/sh
-# Quick checkpoint commit (enforced by commit-msg hook)
-# Usage: scripts/commit-checkpoint.sh <scope> <message...>
+exit $STATUS
+`;
 
-set -e
-SCOPE="$1"
-shift || true
-MSG="$*"
+  const postCheckoutHook = `#!/bin/sh
+# Post-checkout hook: switch .mcp/context.xml to the snapshot of the checked-out branch [${HOOK_MARKER}]
+# $3 = 1 for branch checkouts (also runs in a new worktree), 0 for file checkouts
 
-if [ -z "$SCOPE" ] || [ -z "$MSG" ]; then
-  echo "Usage: scripts/commit-checkpoint.sh <scope> <message...>"
-  exit 1
+[ "$3" = "1" ] || exit 0
+if [ -f "${SCRIPT_PATH}" ] && command -v node >/dev/null 2>&1; then
+  mkdir -p .mcp
+  node "${SCRIPT_PATH}" snapshot --background >> .mcp/post-commit.log 2>&1 || true
 fi
-
-git add -A
-git commit -m "checkpoint($SCOPE): $MSG"
+exit 0
 `;
 
-  const commitMain = `#!/bin/sh
+  const setup = detectHookSetup();
+  if (!capturedWrites) {
+    if (setup.manager) log(`  ℹ️  Detected ${setup.manager}; ai-dev hooks go to ${OWN_HOOKS_DIR}/ and are registered with it`, 'cyan');
+    else if (setup.external) log(`  ⚠️  core.hooksPath points outside this repo (${setup.hooksPath}); not touching shared hooks`, 'yellow');
+  }
+  const hooks = { 'pre-commit': preCommitHook, 'commit-msg': commitMsgHook, 'post-commit': postCommitHook, 'post-checkout': postCheckoutHook, 'pre-push': prePushHook };
+  for (const [name, content] of Object.entries(hooks)) {
+    if (!only || only.includes(name)) installHook(name, content, setup, { overwrite });
+  }
+
+  if (capturedWrites) return;
+  if (setup.manager === 'lefthook') registerLefthook(setup, Object.keys(hooks));
+  if (setup.external) {
+    log(`  ↪ Call them from your shared hooks, e.g.: sh ${OWN_HOOKS_DIR}/commit-msg "$1"`, 'dim');
+  }
+}
+
+// Hook installation: plain .git/hooks, chained with pre-existing hooks, or via husky / lefthook
+const HOOK_MARKER = 'ai-dev-hook';
+const HOOK_DISPATCHER_MARKER = 'ai-dev-dispatcher';
+const OWN_HOOKS_DIR = '.ai-dev/hooks';
+const LEFTHOOK_CONFIGS = ['lefthook.yml', '.lefthook.yml', 'lefthook.yaml', '.lefthook.yaml'];
+const LEFTHOOK_SNIPPET_PATH = '.ai-dev/lefthook.yml';
+// Hooks that receive data on stdin; a dispatcher must replay it to every hook it runs
+const STDIN_HOOKS = new Set(['pre-push', 'pre-receive', 'post-rewrite']);
+
+function detectHookSetup() {
+  const hooksPath = runCommand('git config core.hooksPath', { silent: true }).trim();
+  const gitHooksDir = runCommand('git rev-parse --git-path hooks', { silent: true }).trim() || '.git/hooks';
+  const rel = path.relative(process.cwd(), path.resolve(gitHooksDir)).split(path.sep).join('/');
+  let manager = null;
+  if (fs.existsSync('.husky')) manager = 'husky';
+  else if (LEFTHOOK_CONFIGS.some(f => fs.existsSync(f))) manager = 'lefthook';
+  // Outside the repo is fine for the default hooks dir (worktrees share the main .git/hooks),
+  // but a core.hooksPath outside the repo is shared with other repos
+  const outside = !rel || rel.startsWith('..') || path.isAbsolute(rel);
+  return {
+    manager,
+    hooksPath,
+    hooksDir: rel,
+    external: !manager && !!hooksPath && outside,
+  };
+}
+
+function isOwnHook(content) {
+  // Older installs predate the marker; recognise them by what they call
+  return content.includes(HOOK_MARKER) || /policy-sha|\.mcp\/post-commit\.log|lint-commits/.test(content);
+}
+
+function ownHookPath(name, setup = detectHookSetup()) {
+  // Where the ai-dev body of a hook lives for the current hook setup
+  if (setup.manager || setup.external) return `${OWN_HOOKS_DIR}/${name}`;
+  const target = `${setup.hooksDir}/${name}`;
+  return safeRead(target).includes(HOOK_DISPATCHER_MARKER) ? `${target}.ai-dev` : target;
+}
+
+function renderHookDispatcher(name) {
+  const run = hook => (STDIN_HOOKS.has(name) ? `printf '%s\\n' "$INPUT" | "$HOOK_DIR/${hook}" "$@"` : `"$HOOK_DIR/${hook}" "$@"`);
+  return `#!/bin/sh
+# ${name}: runs the hook that was here before bootstrap, then the ai-dev hook [${HOOK_DISPATCHER_MARKER}]
+# Original: ${name}.local   ai-dev: ${name}.ai-dev   (uninstall restores the original)
+HOOK_DIR="$(dirname "$0")"
+${STDIN_HOOKS.has(name) ? 'INPUT="$(cat)"\n' : ''}
+if [ -x "$HOOK_DIR/${name}.local" ]; then
+  ${run(`${name}.local`)} || exit $?
+fi
+${run(`${name}.ai-dev`)}
+`;
+}
+
+function installHook(name, content, setup, { overwrite = false } = {}) {
+  if (setup.manager || setup.external) {
+    const own = `${OWN_HOOKS_DIR}/${name}`;
+    writeFileSafe(own, content, { overwrite });
+    chmodSafe(own, 0o755);
+    if (setup.manager === 'husky' && !capturedWrites) registerHuskyHook(name, own);
+    return;
+  }
+
+  const target = `${setup.hooksDir}/${name}`;
+  const existing = safeRead(target);
+  if (!fs.existsSync(target) || isOwnHook(existing)) {
+    writeFileSafe(target, content, { overwrite });
+    chmodSafe(target, 0o755);
+    return;
+  }
+  if (existing.includes(HOOK_DISPATCHER_MARKER)) {
+    writeFileSafe(`${target}.ai-dev`, content, { overwrite });
+    chmodSafe(`${target}.ai-dev`, 0o755);
+    return;
+  }
+  if (capturedWrites) {
+    capturedWrites.set(`${target}.ai-dev`, content);
+    return;
+  }
+
+  // Foreign hook: keep it running as <name>.local behind a dispatcher
+  if (fs.existsSync(`${target}.local`)) {
+    log(`  ⚠️  ${target} is not ours and ${target}.local already exists; skipped (chain them by hand)`, 'yellow');
+    return;
+  }
+  log(`  🔗 Chaining existing ${target} (kept as ${name}.local)`, 'cyan');
+  createBackup([target]);
+  writeFileSafe(`${target}.local`, existing, { overwrite: false });
+  chmodSafe(`${target}.local`, 0o755);
+  writeFileSafe(`${target}.ai-dev`, content, { overwrite: true });
+  chmodSafe(`${target}.ai-dev`, 0o755);
+  writeFileSafe(target, renderHookDispatcher(name), { overwrite: true });
+  chmodSafe(target, 0o755);
+}
+
+function registerHuskyHook(name, own) {
+  const huskyFile = `.husky/${name}`;
+  const line = `sh ${own} "$@"`;
+  const existing = safeRead(huskyFile);
+  if (existing.includes(own)) return;
+  if (!existing) {
+    // husky v4–v8 hooks source husky.sh; v9 hooks are plain scripts
+    const legacy = fs.existsSync('.husky/_/husky.sh') && !fs.existsSync('.husky/_/h');
+    const header = legacy ? '#!/usr/bin/env sh\n. "$(dirname -- "$0")/_/husky.sh"\n\n' : '';
+    writeFileSafe(huskyFile, `${header}${line}\n`, { overwrite: false });
+  } else {
+    createBackup([huskyFile]);
+    writeFileSafe(huskyFile, `${existing.trimEnd()}\n${line}\n`, { overwrite: true });
+  }
+  chmodSafe(huskyFile, 0o755);
+}
+
+function renderLefthookSnippet(names) {
+  const args = { 'commit-msg': ' {1}', 'post-checkout': ' {1} {2} {3}', 'pre-push': ' {1} {2}' };
+  const body = names.map(name => `${name}:
+  commands:
+    ai-dev-${name}:
+      run: sh ${OWN_HOOKS_DIR}/${name}${args[name] || ''}${STDIN_HOOKS.has(name) ? '\n      use_stdin: true' : ''}`);
+  return `# Generated by ${SCRIPT_PATH}: ai-dev hooks for lefthook (referenced via "extends" in your lefthook config)
+${body.join('\n')}
+`;
+}
+
+function registerLefthook(setup, names) {
+  writeFileSafe(LEFTHOOK_SNIPPET_PATH, renderLefthookSnippet(names), { overwrite: true });
+  const cfg = LEFTHOOK_CONFIGS.find(f => fs.existsSync(f));
+  const content = safeRead(cfg);
+  if (content.includes(LEFTHOOK_SNIPPET_PATH)) return;
+  if (/^extends:/m.test(content)) {
+    log(`  ⚠️  ${cfg} already has "extends:"; add "- ${LEFTHOOK_SNIPPET_PATH}" to it, then run: lefthook install`, 'yellow');
+    return;
+  }
+  createBackup([cfg]);
+  writeFileSafe(cfg, `${content.trimEnd()}\n\nextends:\n  - ${LEFTHOOK_SNIPPET_PATH}\n`, { overwrite: true });
+  log('  ↪ Run: lefthook install (to refresh .git/hooks)', 'dim');
+}
+
+function checkHookWiring() {
+  const setup = detectHookSetup();
+  const names = ['pre-commit', 'commit-msg', 'post-commit', 'post-checkout', 'pre-push'];
+  const checks = names.map(name => ({ id: `hook:${name}`, category: 'hooks', name: ownHookPath(name, setup), ok: fs.existsSync(ownHookPath(name, setup)), hint: `Run: node ${SCRIPT_PATH} init` }));
+  // Git silently skips a hook that lost its executable bit (checkouts of .ai-dev/hooks, copied repos).
+  // Only hooks we wrote (bodies and dispatchers) are checked and chmod'ed; a foreign hook that is
+  // not executable may be disabled on purpose.
+  if (process.platform !== 'win32') {
+    const files = names.flatMap(n => [ownHookPath(n, setup), `${setup.hooksDir}/${n}`]);
+    const ours = f => {
+      const content = safeRead(f);
+      return isOwnHook(content) || content.includes(HOOK_DISPATCHER_MARKER);
+    };
+    const notExecutable = [...new Set(files)].filter(f => fs.existsSync(f) && !isExecutable(f) && ours(f));
+    checks.push({
+      id: 'hooks:executable',
+      category: 'hooks',
+      name: 'ai-dev hooks are executable',
+      ok: !notExecutable.length,
+      hint: `Run: chmod +x ${notExecutable.join(' ')}`,
+      paths: notExecutable,
+    });
+  }
+  if (setup.manager === 'husky') {
+    checks.push({
+      id: 'hooks:husky',
+      category: 'hooks',
+      name: 'husky runs ai-dev hooks',
+      ok: names.every(n => safeRead(`.husky/${n}`).includes(`${OWN_HOOKS_DIR}/${n}`)),
+      hint: `Run: node ${SCRIPT_PATH} init (adds "sh .ai-dev/hooks/<name>" to .husky/<name>)`,
+    });
+  } else if (setup.manager === 'lefthook') {
+    checks.push({
+      id: 'hooks:lefthook',
+      category: 'hooks',
+      name: 'lefthook runs ai-dev hooks',
+      ok: LEFTHOOK_CONFIGS.some(f => safeRead(f).includes(LEFTHOOK_SNIPPET_PATH)),
+      hint: `Add "extends: [${LEFTHOOK_SNIPPET_PATH}]" to your lefthook config, then run: lefthook install`,
+    });
+  } else if (setup.external) {
+    checks.push({
+      id: 'hooks:shared',
+      category: 'hooks',
+      name: `shared hooks (${setup.hooksPath}) call ${OWN_HOOKS_DIR}/*`,
+      ok: false,
+      hint: `core.hooksPath is outside this repo; call sh ${OWN_HOOKS_DIR}/<name> from those hooks`,
+    });
+  }
+  return checks;
+}
+
+function createScripts({ overwrite = false } = {}) {
+  const policy = loadPolicy();
+
+  const commitCheckpoint = `#!/bin/sh
+# Quick checkpoint commit (enforced by commit-msg hook)
+# Usage: scripts/commit-checkpoint.sh <scope> <message...>
+
+set -e
+SCOPE="$1"
+shift || true
+MSG="$*"
+
+if [ -z "$SCOPE" ] || [ -z "$MSG" ]; then
+  echo "Usage: scripts/commit-checkpoint.sh <scope> <message...>"
+  exit 1
+fi
+
+git add -A
+git commit -m "checkpoint($SCOPE): $MSG"
+`;
+
+  const commitMain = `#!/bin/sh
 # Main commit
 # Usage: scripts/commit-main.sh <type> <scope> <message...>
-# type: feat|fix|refactor|docs|test|chore
+# type: ${policy.types.join('|')} (see ${POLICY_PATH})
 
 set -e
 TYPE="$1"
@@ -703,107 +2313,19 @@ git commit -m "$TYPE($SCOPE): $MSG"
   const genContext = `#!/bin/sh
 # Incremental context generator (Onion Model)
 # Usage: scripts/generate-context.sh [base_branch] [output_file]
+# Implementation: node ${SCRIPT_PATH} context (see --help for --adrs)
 
 set -e
 BASE_BRANCH="\${1:-main}"
 OUT="\${2:-.mcp/context_incremental.txt}"
 
-mkdir -p .mcp
-echo "# AI Development System Context (Incremental / Onion Model)" > "$OUT"
-echo "" >> "$OUT"
-
-# Layer 0 — Laws
-for f in docs/ARCHITECTURE.md docs/CONVENTIONS.md; do
-  if [ -f "$f" ]; then
-    echo "=== $f ===" >> "$OUT"
-    cat "$f" >> "$OUT"
-    echo "" >> "$OUT"
-  fi
-done
-
-# Latest ADRs (up to 5)
-ls -1t docs/adr/ADR-*.md 2>/dev/null | head -n 5 | while read -r adr; do
-  echo "--- $adr ---" >> "$OUT"
-  cat "$adr" >> "$OUT"
-  echo "" >> "$OUT"
-done
-
-# Layer 1 — Delta
-echo "=== git diff $BASE_BRANCH...HEAD ===" >> "$OUT"
-git diff "$BASE_BRANCH...HEAD" >> "$OUT" || true
-echo "" >> "$OUT"
-
-# Changed files content
-CHANGED=$(git diff --name-only "$BASE_BRANCH...HEAD" || true)
-for file in $CHANGED; do
-  if [ -f "$file" ]; then
-    echo "=== $file ===" >> "$OUT"
-    cat "$file" >> "$OUT"
-    echo "" >> "$OUT"
-  fi
-done
-
-echo "✅ Wrote incremental context: $OUT"
+exec node "${SCRIPT_PATH}" context --base "$BASE_BRANCH" --out "$OUT"
 `;
 
   const adrCreate = `#!/bin/sh
-# Create ADR from template with auto-increment ID
-# Usage: scripts/create-adr.sh <slug>
-set -e
-
-SLUG="$1"
-if [ -z "$SLUG" ]; then
-  echo "Usage: scripts/create-adr.sh <slug>"
-  exit 1
-fi
-
-mkdir -p docs/adr
-
-LAST=$(ls -1 docs/adr/ADR-[0-9][0-9][0-9]-*.md 2>/dev/null | sed -E 's/.*ADR-([0-9]+)-.*/\\1/' | sort -n | tail -1)
-if [ -z "$LAST" ]; then
-  NEXT=1
-else
-  NEXT=$((LAST + 1))
-fi
-
-ID=$(printf "%03d" "$NEXT")
-FILE="docs/adr/ADR-$ID-$SLUG.md"
-
-cat > "$FILE" <<'EOF'
-# ADR-XXX: <Title>
-
-**Status:** Draft | Accepted | Rejected
-**Date:** YYYY-MM-DD
-**Deciders:** <names>
-
-## Context
-<What problem are we solving?>
-
-## Decision
-<What did we decide?>
-
-## Rationale
-<Why this decision?>
-
-## Consequences
-<Good and bad effects>
-
-## Alternatives Considered
-<Other options>
-
-## References
-- Links / docs / PRs
-EOF
-
-# Replace placeholders
-DATE=$(date +%Y-%m-%d)
-sed -i.bak -e "s/ADR-XXX/ADR-$ID/g" -e "s/YYYY-MM-DD/$DATE/g" "$FILE" 2>/dev/null || true
-rm -f "$FILE.bak" 2>/dev/null || true
-
-echo "✅ Created $FILE"
-echo "Next:"
-echo "  1) Fill sections"
-echo "  2) Commit: git commit -m \"docs(adr): add ADR-$ID $SLUG\""
+# Create an ADR with the next free ID (thin wrapper; lifecycle: node ${SCRIPT_PATH} adr list|accept|reject|supersede)
+# Usage: scripts/create-adr.sh <title...>
+exec node "${SCRIPT_PATH}" adr new "$@"
 `;
 
   const serenaIndex = `#!/bin/sh
@@ -874,51 +2396,26 @@ exit /b 0
 
 :usage
 echo Usage: scripts\\commit-main.bat ^<type^> ^<scope^> ^<message...^>
-echo type: feat^|fix^|refactor^|docs^|test^|chore
+echo type: ${policy.types.join('^|')}
 exit /b 1
+`;
+
+  const adrCreateBat = `@echo off
+rem Create an ADR with the next free ID (thin wrapper; lifecycle: node ${SCRIPT_PATH} adr list/accept/reject/supersede)
+rem Usage: scripts\\create-adr.bat <title...>
+node "${SCRIPT_PATH}" adr new %*
 `;
 
   const genContextBat = `@echo off
-setlocal enabledelayedexpansion
+rem Incremental context generator (Onion Model)
+rem Usage: scripts\\generate-context.bat [base_branch] [output_file]
+setlocal
 set BASE_BRANCH=%1
 if "%BASE_BRANCH%"=="" set BASE_BRANCH=main
-set OUT=%2
-if "%OUT%"=="" set OUT=.mcp\context_incremental.txt
-
-if not exist .mcp mkdir .mcp
-
-echo # AI Development System Context (Incremental / Onion Model)> "%OUT%"
-echo.>> "%OUT%"
-
-for %%F in (docs\ARCHITECTURE.md docs\CONVENTIONS.md) do (
-  if exist %%F (
-    echo === %%F ===>> "%OUT%"
-    type %%F>> "%OUT%"
-    echo.>> "%OUT%"
-  )
-)
-
-for /f "delims=" %%A in ('dir /b /o-d docs\adr\ADR-*.md 2^>nul') do (
-  echo --- docs\adr\%%A --->> "%OUT%"
-  type docs\adr\%%A>> "%OUT%"
-  echo.>> "%OUT%"
-  goto afteradr
-)
-:afteradr
-
-echo === git diff %BASE_BRANCH%...HEAD ===>> "%OUT%"
-git diff %BASE_BRANCH%...HEAD>> "%OUT%" 2>nul
-echo.>> "%OUT%"
-
-for /f "delims=" %%F in ('git diff --name-only %BASE_BRANCH%...HEAD 2^>nul') do (
-  if exist %%F (
-    echo === %%F ===>> "%OUT%"
-    type %%F>> "%OUT%"
-    echo.>> "%OUT%"
-  )
-)
-
-echo Wrote incremental context: %OUT%
+set OUT=%~2
+if "%OUT%"=="" set OUT=.mcp\\context_incremental.txt
+
+node "${SCRIPT_PATH}" context --base "%BASE_BRANCH%" --out "%OUT%"
 `;
 
   writeFileSafe('scripts/commit-checkpoint.sh', commitCheckpoint, { overwrite });
@@ -931,6 +2428,7 @@ echo Wrote incremental context: %OUT%
 writeFileSafe('scripts/commit-checkpoint.bat', commitCheckpointBat, { overwrite });
 writeFileSafe('scripts/commit-main.bat', commitMainBat, { overwrite });
 writeFileSafe('scripts/generate-context.bat', genContextBat, { overwrite });
+writeFileSafe('scripts/create-adr.bat', adrCreateBat, { overwrite });
 
   chmodSafe('scripts/commit-checkpoint.sh', 0o755);
   chmodSafe('scripts/commit-main.sh', 0o755);
@@ -966,8 +2464,204 @@ function deepMerge(obj, patch) {
   return out;
 }
 
-function setupMcpForClaudeDesktop({ overwriteExistingServers = true } = {}) {
-  const cfgPath = resolveClaudeDesktopConfigPath();
+function resolveCursorUserConfigPath() {
+  // Cursor reads ~/.cursor/mcp.json on every OS
+  return path.join(os.homedir(), '.cursor', 'mcp.json');
+}
+
+const MCP_TARGETS = {
+  claude: {
+    label: 'Claude Desktop',
+    configPath: resolveClaudeDesktopConfigPath,
+    hint: 'Restart Claude Desktop to apply changes.',
+  },
+  cursor: {
+    label: 'Cursor (project)',
+    configPath: () => '.cursor/mcp.json',
+    hint: 'Reload Cursor (or toggle the servers in Settings → MCP) to apply changes.',
+  },
+  'cursor-user': {
+    label: 'Cursor (user)',
+    configPath: resolveCursorUserConfigPath,
+    hint: 'Reload Cursor (or toggle the servers in Settings → MCP) to apply changes.',
+  },
+  project: {
+    label: 'Project (.mcp.json for Claude Code CLI / VS Code)',
+    configPath: () => '.mcp.json',
+    hint: 'Commit .mcp.json; Claude Code asks to approve project-scoped servers on first use.',
+  },
+};
+
+// "all" = every client this project is named after; cursor-user must be requested explicitly
+// (Cursor would otherwise list the same servers twice).
+const MCP_TARGET_GROUPS = {
+  all: ['claude', 'cursor', 'project'],
+};
+
+function checkProjectMcpConfig() {
+  // Checks for the committed project-scoped .mcp.json (only when present)
+  const cfgPath = MCP_TARGETS.project.configPath();
+  if (!fs.existsSync(cfgPath)) return [];
+  let cfg;
+  try {
+    cfg = JSON.parse(safeRead(cfgPath));
+  } catch (e) {
+    return [{ id: 'mcp:json', category: 'mcp', name: `${cfgPath} (valid JSON)`, ok: false, hint: `Fix the JSON syntax (${e.message}) or re-run: node ${SCRIPT_PATH} init --setup-mcp=project` }];
+  }
+  const checks = [{ id: 'mcp:json', category: 'mcp', name: `${cfgPath} (valid JSON)`, ok: true, hint: '' }];
+  const servers = (cfg && cfg.mcpServers) || {};
+  if (!Object.keys(servers).length) {
+    checks.push({ id: 'mcp:servers', category: 'mcp', name: `${cfgPath} (defines mcpServers)`, ok: false, hint: `Run: node ${SCRIPT_PATH} init --setup-mcp=project` });
+  }
+  for (const [name, def] of Object.entries(servers)) {
+    const command = def && def.command;
+    // A missing server binary (e.g. uvx for Serena) only disables that server; shell syntax in "command" is an error
+    checks.push({
+      id: `mcp:server:${name}`,
+      category: 'mcp',
+      required: !isPlainCommand(command),
+      name: `${cfgPath} server "${name}": ${command || '(no command)'} on PATH`,
+      ok: !!command && hasCommand(command),
+      hint: !command
+        ? `Set mcpServers.${name}.command in ${cfgPath}`
+        : !isPlainCommand(command)
+          ? `mcpServers.${name}.command must be a program name or path (put arguments in "args"); fix ${cfgPath}`
+          : `Install "${command}" or fix mcpServers.${name}.command in ${cfgPath}`,
+    });
+  }
+  return checks;
+}
+
+function parseMcpTargets(value) {
+  if (!value) return [];
+  const names = value === true ? ['claude'] : String(value).split(',').map(x => x.trim()).filter(Boolean);
+  const out = [];
+  for (const n of names) {
+    for (const t of MCP_TARGET_GROUPS[n] || [n]) {
+      if (!MCP_TARGETS[t]) throw new Error(`Unknown --setup-mcp target "${t}" (expected: ${[...Object.keys(MCP_TARGETS), ...Object.keys(MCP_TARGET_GROUPS)].join(', ')})`);
+      if (!out.includes(t)) out.push(t);
+    }
+  }
+  return out;
+}
+
+function diffLines(a, b) {
+  // LCS line diff; returns [{ op: ' ' | '-' | '+', line }]
+  const n = a.length;
+  const m = b.length;
+  const dp = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      dp[i][j] = a[i] === b[j] ? dp[i + 1][j + 1] + 1 : Math.max(dp[i + 1][j], dp[i][j + 1]);
+    }
+  }
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j]) {
+      ops.push({ op: ' ', line: a[i] });
+      i++;
+      j++;
+    } else if (dp[i + 1][j] >= dp[i][j + 1]) {
+      ops.push({ op: '-', line: a[i++] });
+    } else {
+      ops.push({ op: '+', line: b[j++] });
+    }
+  }
+  while (i < n) ops.push({ op: '-', line: a[i++] });
+  while (j < m) ops.push({ op: '+', line: b[j++] });
+  return ops;
+}
+
+function printDiff(ops, { context = 2 } = {}) {
+  const show = new Set();
+  ops.forEach((o, idx) => {
+    if (o.op === ' ') return;
+    for (let k = idx - context; k <= idx + context; k++) show.add(k);
+  });
+  let last = -1;
+  ops.forEach((o, idx) => {
+    if (!show.has(idx)) return;
+    if (last !== -1 && idx > last + 1) log('    …', 'dim');
+    log(`    ${o.op} ${o.line}`, o.op === '+' ? 'green' : o.op === '-' ? 'red' : 'dim');
+    last = idx;
+  });
+}
+
+function matchMap(ops) {
+  // base line index → matching line index in the other side (-1 if deleted)
+  const map = [];
+  let other = 0;
+  for (const o of ops) {
+    if (o.op === ' ') map.push(other++);
+    else if (o.op === '-') map.push(-1);
+    else other += 1;
+  }
+  return map;
+}
+
+function sameLines(a, b) {
+  return a.length === b.length && a.every((l, i) => l === b[i]);
+}
+
+function mergeThreeWay(base, ours, theirs) {
+  // diff3: walk stable lines (unchanged on both sides) and resolve the chunks in between
+  const mo = matchMap(diffLines(base, ours));
+  const mt = matchMap(diffLines(base, theirs));
+  const lines = [];
+  const conflicts = [];
+  let b = 0;
+  let o = 0;
+  let t = 0;
+  while (b < base.length || o < ours.length || t < theirs.length) {
+    if (b < base.length && mo[b] === o && mt[b] === t) {
+      lines.push(base[b]);
+      b += 1;
+      o += 1;
+      t += 1;
+      continue;
+    }
+    let i = b;
+    while (i < base.length && (mo[i] === -1 || mt[i] === -1)) i += 1;
+    const oEnd = i < base.length ? mo[i] : ours.length;
+    const tEnd = i < base.length ? mt[i] : theirs.length;
+    const A = ours.slice(o, oEnd);
+    const B = base.slice(b, i);
+    const C = theirs.slice(t, tEnd);
+    if (sameLines(A, B) || sameLines(A, C)) lines.push(...C);
+    else if (sameLines(C, B)) lines.push(...A);
+    else {
+      conflicts.push({ line: lines.length + 1, ours: A, base: B, theirs: C });
+      lines.push(null); // placeholder, rendered by renderMerge()
+    }
+    b = i;
+    o = oEnd;
+    t = tEnd;
+  }
+  return { lines, conflicts };
+}
+
+function renderConflict(c, fromVersion) {
+  return [
+    '<<<<<<< yours',
+    ...c.ours,
+    `||||||| template ${fromVersion}`,
+    ...c.base,
+    '=======',
+    ...c.theirs,
+    `>>>>>>> template ${BOOTSTRAP_VERSION}`,
+  ];
+}
+
+function renderMerge(merge, fromVersion) {
+  let k = 0;
+  return merge.lines.flatMap(l => (l === null ? renderConflict(merge.conflicts[k++], fromVersion) : [l]));
+}
+
+function setupMcpConfig(targetName, { overwriteExistingServers = true } = {}) {
+  const target = MCP_TARGETS[targetName];
+  const cfgPath = target.configPath();
   const dir = path.dirname(cfgPath);
   ensureDir(dir);
 
@@ -983,18 +2677,7 @@ function setupMcpForClaudeDesktop({ overwriteExistingServers = true } = {}) {
     }
   }
 
-  const patch = {
-    mcpServers: {
-      repomix: {
-        command: 'npx',
-        args: ['-y', 'repomix', '--mcp'],
-      },
-      serena: {
-        command: 'uvx',
-        args: ['--from', 'git+https://github.com/oraios/serena.git', 'serena', 'start-mcp-server'],
-      },
-    },
-  };
+  const patch = { mcpServers: defaultMcpServers() };
 
   // If user doesn't want to overwrite existing server definitions, respect them.
   if (!overwriteExistingServers && existing && existing.mcpServers) {
@@ -1003,26 +2686,51 @@ function setupMcpForClaudeDesktop({ overwriteExistingServers = true } = {}) {
     }
   }
 
+  const merged = deepMerge(existing, patch);
+  const beforeText = existingRaw.trim() ? JSON.stringify(existing, null, 2) : '';
+  const afterText = JSON.stringify(merged, null, 2);
+  if (beforeText === afterText) {
+    log(`✓ ${target.label} MCP config already up to date: ${cfgPath}`, 'green');
+    return { changed: false, cfgPath };
+  }
+
   // Backup before write
   if (fs.existsSync(cfgPath)) createBackup([cfgPath]);
 
-  const merged = deepMerge(existing, patch);
   // Force write because we explicitly asked for setup
-  writeFileSafe(cfgPath, JSON.stringify(merged, null, 2) + '\n', { overwrite: true });
+  writeFileSafe(cfgPath, afterText + '\n', { overwrite: true });
 
-  log(`🔌 Claude Desktop MCP config updated: ${cfgPath}`, 'green');
-  log('   Restart Claude Desktop to apply changes.', 'cyan');
+  log(`🔌 ${target.label} MCP config updated: ${cfgPath}`, 'green');
+  printDiff(diffLines(beforeText ? beforeText.split('\n') : [], afterText.split('\n')));
+  log(`   ${target.hint}`, 'cyan');
+  return { changed: true, cfgPath };
 }
 
-function healthCheck() {
-  log('\n🩺 Health check (bootstrap + sync invariants)', 'cyan');
-
+// Optional checks report a warning but never fail `check --strict`
+const OPTIONAL_FILES = new Set([
+  'docs/adr/ADR_TEMPLATE.md',
+  'scripts/commit-checkpoint.sh',
+  'scripts/commit-main.sh',
+  'scripts/generate-context.sh',
+  'scripts/create-adr.sh',
+  '.github/workflows/commit-policy.yml',
+]);
+
+function collectHealthChecks() {
   const checks = [];
 
   // Commands
-  checks.push({ name: 'git', ok: hasCommand('git'), hint: 'Install Git and ensure it is on PATH.' });
-  checks.push({ name: 'node', ok: hasCommand('node'), hint: 'Install Node.js (LTS recommended).' });
-  checks.push({ name: 'npx', ok: hasCommand('npx'), hint: 'Install Node.js (npx comes with npm).' });
+  checks.push({ id: 'tool:git', category: 'tools', name: 'git', ok: hasCommand('git'), hint: 'Install Git and ensure it is on PATH.' });
+  checks.push({ id: 'tool:node', category: 'tools', name: 'node', ok: hasCommand('node'), hint: 'Install Node.js (LTS recommended).' });
+  checks.push({ id: 'tool:npx', category: 'tools', required: loadRepomixConfig().aiDev.snapshotEngine === 'repomix', name: 'npx', ok: hasCommand('npx'), hint: 'Install Node.js (npx comes with npm).' });
+  checks.push({
+    id: 'tool:serena',
+    category: 'tools',
+    required: false,
+    name: 'serena or uvx (Layer 2 expansion)',
+    ok: hasCommand('serena') || hasCommand('uvx'),
+    hint: 'Optional. Install uv (https://docs.astral.sh/uv/) to run Serena; the built-in import graph (context --expand) works without it.',
+  });
 
   // Files (expected after init)
   const expectedFiles = [
@@ -1030,9 +2738,9 @@ function healthCheck() {
     'docs/CONVENTIONS.md',
     'docs/adr/ADR_TEMPLATE.md',
     '.cursorrules',
+    RULES_SOURCE_PATH,
+    'CLAUDE.md',
     'repomix.config.json',
-    '.git/hooks/commit-msg',
-    '.git/hooks/post-commit',
     'scripts/commit-checkpoint.sh',
     'scripts/commit-main.sh',
     'scripts/generate-context.sh',
@@ -1041,119 +2749,2738 @@ function healthCheck() {
   ];
 
   for (const f of expectedFiles) {
-    checks.push({ name: f, ok: fs.existsSync(f), hint: 'Run: node bootstrap.js init' });
+    checks.push({ id: `file:${f}`, category: 'files', required: !OPTIONAL_FILES.has(f), name: f, ok: fs.existsSync(f), hint: `Run: node ${SCRIPT_PATH} init` });
+  }
+  if (process.platform !== 'win32') {
+    const notExecutable = expectedFiles.filter(f => f.endsWith('.sh') && fs.existsSync(f) && !isExecutable(f));
+    checks.push({
+      id: 'files:executable',
+      category: 'files',
+      required: false,
+      name: 'scripts/*.sh are executable',
+      ok: !notExecutable.length,
+      hint: `Run: chmod +x ${notExecutable.join(' ')}`,
+      paths: notExecutable,
+    });
+  }
+
+  // Commit policy: hook and CI must be generated from the current policy
+  const policy = loadPolicy();
+  checks.push({ id: `file:${POLICY_PATH}`, category: 'policy', name: POLICY_PATH, ok: fs.existsSync(POLICY_PATH), hint: `Run: node ${SCRIPT_PATH} init` });
+  // Git hooks (plain, chained, or registered with husky / lefthook)
+  checks.push(...checkHookWiring());
+
+  for (const f of [ownHookPath('commit-msg'), '.github/workflows/commit-policy.yml']) {
+    if (!fs.existsSync(f)) continue; // reported by the hook / expected-files checks
+    checks.push({
+      id: `policy:${f}`,
+      category: 'policy',
+      required: !OPTIONAL_FILES.has(f),
+      name: `${f} matches ${POLICY_PATH}`,
+      ok: policyArtifactInSync(f, policy),
+      hint: `Run: node ${SCRIPT_PATH} policy sync`,
+    });
+  }
+
+  // Agent rule files must match the shared source
+  for (const r of rulesStatus()) {
+    if (r.state === 'missing') continue; // reported by the expected-files list (or optional .mdc)
+    checks.push({
+      id: `rules:${r.path}`,
+      category: 'rules',
+      name: `${r.path} matches ${RULES_SOURCE_PATH}`,
+      ok: r.state === 'ok',
+      hint: r.state === 'hand-written' ? `Hand-written file; run: node ${SCRIPT_PATH} rules sync --force to regenerate` : `Run: node ${SCRIPT_PATH} rules sync`,
+    });
+  }
+
+  // Project-scoped MCP config (Claude Code CLI / VS Code)
+  checks.push(...checkProjectMcpConfig());
+
+  const gitignoreMissing = missingGitignoreEntries();
+  checks.push({
+    id: 'gitignore',
+    category: 'files',
+    name: '.gitignore (excludes .mcp/ and ai-dev state)',
+    ok: !gitignoreMissing.length,
+    hint: `Missing: ${gitignoreMissing.join(', ')}. Run: node ${SCRIPT_PATH} check --fix (or init)`,
+  });
+
+  // ADR index is generated from the ADR files
+  const adrIndex = adrIndexState();
+  if (adrIndex !== 'missing') {
+    checks.push({
+      id: 'docs:adr-index',
+      category: 'docs',
+      required: false,
+      name: `${ADR_INDEX_PATH} lists every ADR`,
+      ok: adrIndex === 'ok',
+      hint: adrIndex === 'hand-written' ? `Hand-written file; run: node ${SCRIPT_PATH} adr index --force to regenerate` : `Run: node ${SCRIPT_PATH} adr index`,
+    });
+  }
+
+  // Architecture completion: degraded mode ends when no section has a [TODO] left
+  const arch = architectureStatus();
+  if (arch) {
+    checks.push({
+      id: 'docs:architecture',
+      category: 'docs',
+      required: false,
+      name: `${ARCHITECTURE_PATH} complete (${arch.percent}%, ${arch.done}/${arch.total} sections${arch.pending.length ? `; [TODO] in: ${arch.pending.join(', ')}` : ''})`,
+      ok: !arch.degraded && !arch.pending.length,
+      hint: arch.pending.length
+        ? `Resolve the [TODO] markers (prefill: node ${SCRIPT_PATH} architecture draft), then run: node ${SCRIPT_PATH} architecture finalize`
+        : `All [TODO]s resolved. Run: node ${SCRIPT_PATH} architecture finalize`,
+    });
   }
 
-  const gitignoreOk = fs.existsSync('.gitignore') &&
-    fs.readFileSync('.gitignore', 'utf8').includes('.mcp/context.xml');
+  // Snapshot freshness: agents must not read a snapshot from an older commit
+  // (optional here: fresh clones and CI have none; gate on it with snapshot verify)
+  const freshness = snapshotFreshness();
   checks.push({
-    name: '.gitignore (excludes .mcp/)',
-    ok: gitignoreOk,
-    hint: 'Run: node bootstrap.js init (will update .gitignore)',
+    id: 'snapshot:fresh',
+    category: 'snapshot',
+    required: false,
+    name: `${freshness.outPath} is current for HEAD`,
+    ok: freshness.state === 'current',
+    hint: `${describeFreshness(freshness)}. Run: node ${SCRIPT_PATH} snapshot (see ${SNAPSHOT_LOG} if the post-commit hook failed)`,
   });
 
-  // Snapshot generation
+  // Snapshot generation (native engine unless repomix.config.json selects repomix); written to a
+  // scratch file so that check does not hide a stale snapshot by refreshing it
   let snapshotOk = false;
-  if (hasCommand('npx')) {
-    try {
-      ensureDir('.mcp');
-      runCommand('npx -y repomix', { silent: true });
-      snapshotOk = fs.existsSync('.mcp/context.xml');
-    } catch {
-      snapshotOk = false;
-    }
+  const scratch = path.join(os.tmpdir(), `ai-dev-check-${process.pid}.xml`);
+  try {
+    snapshotOk = generateSnapshot({ outPath: scratch, quiet: true }).ok;
+  } catch {
+    snapshotOk = false;
+  } finally {
+    for (const f of [scratch, snapshotMetaPath(scratch), `${scratch}.redactions.json`]) fs.rmSync(f, { force: true });
   }
   checks.push({
-    name: '.mcp/context.xml (repomix snapshot)',
+    id: 'snapshot:generate',
+    category: 'snapshot',
+    name: 'snapshot generation (repomix.config.json)',
     ok: snapshotOk,
-    hint: 'Run: npx -y repomix (repomix.config.json must exist)',
+    hint: `Run: node ${SCRIPT_PATH} snapshot (reads repomix.config.json)`,
+  });
+
+  // Checks are required unless marked otherwise; status: pass | fail | warn (optional and failing)
+  return checks.map(c => {
+    const required = c.required !== false;
+    return { ...c, required, status: c.ok ? 'pass' : required ? 'fail' : 'warn' };
   });
+}
+
+function healthFix(c, template) {
+  // Targeted remediation for one failing check (check --fix): { action, run } or null when it needs a human
+  const [kind, ...rest] = c.id.split(':');
+  const target = rest.join(':');
+  const restore = f => ({
+    action: `write ${f} from the current template`,
+    run: () => {
+      writeFileSafe(f, template(f), { overwrite: false });
+      if (/\.sh$/.test(f) || f.includes('hooks/')) chmodSafe(f, 0o755);
+    },
+  });
+
+  if (kind === 'file' && template(target) !== undefined) return restore(target);
+  if (kind === 'hook') return { action: `install the ${target} hook`, run: () => createGitHooks({ only: [target] }) };
+  if (c.id === 'hooks:husky') return { action: 'register the ai-dev hooks in .husky/', run: () => createGitHooks() };
+  if (c.id === 'hooks:executable' || c.id === 'files:executable') {
+    return { action: `chmod +x ${c.paths.join(' ')}`, run: () => c.paths.forEach(f => chmodSafe(f, 0o755)) };
+  }
+  if (kind === 'policy') return { action: `regenerate commit policy artifacts from ${POLICY_PATH} (policy sync)`, run: () => syncPolicyArtifacts() };
+  if (kind === 'rules' && !/hand-written/i.test(c.hint)) return { action: `regenerate rule files from ${RULES_SOURCE_PATH} (rules sync)`, run: () => syncRules() };
+  if (c.id === 'gitignore') return { action: 'add the missing ai-dev entries to .gitignore', run: () => ensureGitignore() };
+  if (c.id === 'docs:adr-index' && !/hand-written/i.test(c.hint)) return { action: `regenerate ${ADR_INDEX_PATH}`, run: () => writeAdrIndex() };
+  if (c.id === 'snapshot:fresh') return { action: 'regenerate the snapshot', run: () => generateSnapshot() };
+  return null;
+}
+
+function applyHealthFixes(checks, { dryRun = false } = {}) {
+  // One run per distinct action (e.g. both policy checks are fixed by a single policy sync)
+  log(`\n🔧 ${dryRun ? 'Fixes that would be applied' : 'Fixing failing checks'}`, 'cyan');
+  let cache = null;
+  const template = f => (cache = cache || renderCurrentTemplates(detectProjectType()))[f];
+  const done = new Set();
+  const fixes = [];
+  for (const c of checks.filter(x => !x.ok)) {
+    const fix = healthFix(c, template);
+    if (!fix) {
+      fixes.push({ id: c.id, action: null, status: 'manual' });
+      log(`  – ${c.id}: no automatic fix (${c.hint})`, 'dim');
+      continue;
+    }
+    if (done.has(fix.action)) continue;
+    done.add(fix.action);
+    if (dryRun) {
+      fixes.push({ id: c.id, action: fix.action, status: 'planned' });
+      log(`  • ${c.id}: would ${fix.action}`, 'yellow');
+      continue;
+    }
+    log(`  • ${c.id}: ${fix.action}`, 'cyan');
+    try {
+      fix.run();
+      fixes.push({ id: c.id, action: fix.action, status: 'applied' });
+    } catch (e) {
+      fixes.push({ id: c.id, action: fix.action, status: 'error', error: e.message });
+      log(`    ✗ ${e.message}`, 'red');
+    }
+  }
+  if (!fixes.length) log('  Nothing to fix.', 'green');
+  return fixes;
+}
+
+function healthCheck({ json = false, strict = false, fix = false, dryRun = false } = {}) {
+  // Exit code: 1 under --strict when a required check fails, otherwise 0
+  if (json) logStream = process.stderr;
+  else log('\n🩺 Health check (bootstrap + sync invariants)', 'cyan');
+
+  let checks = collectHealthChecks();
+  let fixes = null;
+  if (fix) {
+    fixes = applyHealthFixes(checks, { dryRun });
+    // Report the state after the fixes
+    if (!dryRun && fixes.some(f => f.status === 'applied')) {
+      if (!json) log('\n🩺 Re-checking', 'cyan');
+      checks = collectHealthChecks();
+    }
+  }
+  const pass = checks.filter(c => c.ok).length;
+  const failed = checks.filter(c => c.status === 'fail');
+  const pct = Math.round((pass / checks.length) * 100);
+  const code = strict && failed.length ? 1 : 0;
+
+  if (json) {
+    const report = {
+      ok: failed.length === 0,
+      strict,
+      passed: pass,
+      total: checks.length,
+      percent: pct,
+      failed: failed.length,
+      warnings: checks.filter(c => c.status === 'warn').length,
+      checks: checks.map(c => ({ id: c.id, status: c.status, required: c.required, category: c.category, name: c.name, hint: c.ok ? null : c.hint })),
+    };
+    if (fixes) report.fixes = fixes;
+    process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+    return code;
+  }
 
   // Print
-  let pass = 0;
   for (const c of checks) {
     if (c.ok) {
       log(`  ✓ ${c.name}`, 'green');
-      pass += 1;
-    } else {
+    } else if (c.required) {
       log(`  ✗ ${c.name}`, 'red');
       log(`    ↪ ${c.hint}`, 'dim');
+    } else {
+      log(`  ⚠ ${c.name} (optional)`, 'yellow');
+      log(`    ↪ ${c.hint}`, 'dim');
     }
   }
 
-  const pct = Math.round((pass / checks.length) * 100);
-  log(`\nResult: ${pass}/${checks.length} checks passed (${pct}%).`, pct === 100 ? 'green' : 'yellow');
-  if (pct < 100) {
-    log('Fix the red items above, then re-run: node bootstrap.js check', 'cyan');
+  log(`\nResult: ${pass}/${checks.length} checks passed (${pct}%)${failed.length ? `, ${failed.length} required failing` : ''}.`, pct === 100 ? 'green' : 'yellow');
+  if (failed.length) {
+    log(`Fix the red items above, then re-run: node ${SCRIPT_PATH} check`, 'cyan');
+  } else if (pct < 100) {
+    log('All required checks pass; the yellow items are optional.', 'cyan');
   } else {
     log('System looks ready. You can switch tools and rely on repo snapshots + commit history.', 'cyan');
   }
+  return code;
 }
 
-function generateInitialSnapshot() {
-  ensureDir('.mcp');
-  if (!hasCommand('npx')) {
-    log('  ⚠️  npx not found. Skipping initial snapshot generation.', 'yellow');
-    return;
-  }
-  try {
-    log('🧠 Generating initial snapshot via Repomix → .mcp/context.xml', 'cyan');
-    runCommand('npx -y repomix', { silent: false });
-    log('  ✓ .mcp/context.xml generated', 'green');
-  } catch (e) {
-    log('  ⚠️  Repomix snapshot generation failed. You can run later: npx -y repomix', 'yellow');
+// Mirrors the spirit of Repomix "useDefaultPatterns" (lock files, build output, VCS dirs).
+const DEFAULT_SNAPSHOT_IGNORE = [
+  '**/node_modules/**',
+  '**/.git/**',
+  '**/dist/**',
+  '**/build/**',
+  '**/coverage/**',
+  '**/package-lock.json',
+  '**/yarn.lock',
+  '**/pnpm-lock.yaml',
+  '**/*.min.js',
+  '**/*.map',
+  '**/.DS_Store',
+];
+
+function globToRegExp(glob) {
+  let re = '';
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === '*') {
+      if (glob[i + 1] === '*') {
+        i++;
+        // "**/" matches zero or more directories; a trailing "**" matches everything below
+        if (glob[i + 1] === '/') {
+          i++;
+          re += '(?:.*/)?';
+        } else {
+          re += '.*';
+        }
+      } else {
+        re += '[^/]*';
+      }
+    } else if (ch === '?') {
+      re += '[^/]';
+    } else {
+      re += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
   }
+  return new RegExp(`^${re}$`);
 }
 
-function usage() {
-  log('Usage:', 'cyan');
-  log('  node bootstrap.js init [--force] [--setup-mcp]\n  node bootstrap.js check\n', 'cyan');
-  log('Options:', 'cyan');
-  log('  --force       Allow overwriting existing git hooks/scripts if present (backup is created)\n  --setup-mcp   Merge MCP servers into Claude Desktop config (creates backup)\n', 'cyan');
+function matchesGlob(filePath, pattern) {
+  const p = pattern.replace(/^\.\//, '');
+  if (globToRegExp(p).test(filePath)) return true;
+  // A plain directory name ("docs" or "docs/") matches everything below it
+  if (!/[*?]/.test(p)) return filePath.startsWith(p.replace(/\/$/, '') + '/');
+  return false;
 }
 
-function main() {
-  const args = process.argv.slice(2);
-  const cmd = args[0] || 'init';
-  const force = args.includes('--force');
-  const setupMcp = args.includes('--setup-mcp');
+function matchesAny(filePath, patterns) {
+  return patterns.some(p => matchesGlob(filePath, p));
+}
 
-  if (cmd === '--help' || cmd === '-h' || cmd === 'help') {
-    usage();
-    process.exit(0);
+function walkFiles(dir, acc = []) {
+  let entries = [];
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch {
+    return acc;
   }
-
-  if (cmd === 'check') {
-    healthCheck();
-    process.exit(0);
+  for (const e of entries) {
+    if (e.name === '.git' || e.name === 'node_modules') continue;
+    const p = dir === '.' ? e.name : `${dir}/${e.name}`;
+    if (e.isDirectory()) walkFiles(p, acc);
+    else if (e.isFile()) acc.push(p);
   }
+  return acc;
+}
 
-  if (cmd !== 'init') {
-    usage();
-    process.exit(1);
+function listRepoFiles() {
+  // Prefer git: respects .gitignore and includes untracked (non-ignored) files.
+  const out = runCommand('git ls-files --cached --others --exclude-standard -z', { silent: true });
+  if (out) {
+    const files = out.split('\0').filter(Boolean).filter(f => {
+      try {
+        return fs.statSync(f).isFile();
+      } catch {
+        return false;
+      }
+    });
+    return [...new Set(files)].sort();
   }
+  return walkFiles('.').sort();
+}
 
-  log('\n🧠 AI Development Bootstrap (Repomix + optional Serena)', 'cyan');
-  ensureGitRepo();
-  warnDirtyWorkingTree();
-
-  const projectType = detectProjectType();
-  if (projectType === 'existing') {
-    log('📦 Detected: Existing project (no architecture docs) → DEGRADED MODE templates', 'yellow');
-  } else {
-    log('✨ Detected: New project → creating full structure', 'green');
+function isBinaryFile(filePath) {
+  let fd;
+  try {
+    fd = fs.openSync(filePath, 'r');
+    const buf = Buffer.alloc(8000);
+    const n = fs.readSync(fd, buf, 0, buf.length, 0);
+    return buf.subarray(0, n).includes(0);
+  } catch {
+    return true;
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
   }
+}
 
-  log('\n📁 Creating directories', 'cyan');
-  createDirectories();
+function selectSnapshotFiles(config) {
+  const include = config.include || [];
+  const ignore = [
+    ...(config.ignore.useDefaultPatterns === false ? [] : DEFAULT_SNAPSHOT_IGNORE),
+    ...(config.ignore.customPatterns || []),
+    config.output.filePath,
+    `${config.output.filePath}.*`, // temp file and freshness sidecar
+    `${path.posix.dirname(config.output.filePath)}/branches/**`,
+    `${path.posix.dirname(config.output.filePath)}/packages/**`,
+    REDACT_CONFIG_PATH, // deny entries may be the secrets themselves
+  ];
+  const maxFileSize = (config.input && config.input.maxFileSize) || 50 * 1024 * 1024;
+
+  return listRepoFiles().filter(f => {
+    if (!matchesAny(f, include)) return false;
+    if (matchesAny(f, ignore)) return false;
+    try {
+      if (fs.statSync(f).size > maxFileSize) return false;
+    } catch {
+      return false;
+    }
+    return !isBinaryFile(f);
+  });
+}
+
+function renderDirectoryTree(files) {
+  const root = {};
+  for (const f of files) {
+    let node = root;
+    for (const part of f.split('/')) {
+      node[part] = node[part] || {};
+      node = node[part];
+    }
+  }
+  const lines = [];
+  const walk = (node, depth) => {
+    const names = Object.keys(node).sort((a, b) => {
+      const da = Object.keys(node[a]).length > 0;
+      const db = Object.keys(node[b]).length > 0;
+      if (da !== db) return da ? -1 : 1;
+      return a.localeCompare(b);
+    });
+    for (const name of names) {
+      const isDir = Object.keys(node[name]).length > 0;
+      lines.push(`${'  '.repeat(depth)}${name}${isDir ? '/' : ''}`);
+      if (isDir) walk(node[name], depth + 1);
+    }
+  };
+  walk(root, 0);
+  return lines.join('\n');
+}
+
+function xmlAttr(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
+
+function collectGitSignals(config) {
+  const signals = { workTreeDiff: '', stagedDiff: '', logs: '' };
+  if (!fs.existsSync('.git') || !hasCommand('git')) return signals;
+  if (config.git.includeDiffs) {
+    signals.workTreeDiff = runCommand('git diff --no-color', { silent: true });
+    signals.stagedDiff = runCommand('git diff --no-color --cached', { silent: true });
+  }
+  if (config.git.includeLogs) {
+    const count = Number(config.git.logsCount || config.git.includeLogsCount) || 50;
+    signals.logs = runCommand(`git log -n ${count} --no-color --date=iso --format="%ad %h %s" --name-only`, { silent: true });
+  }
+  return signals;
+}
+
+function estimateTokens(text) {
+  // Deterministic heuristic: ~4 characters per token (close to BPE tokenizers for code and English).
+  return Math.ceil(String(text || '').length / 4);
+}
+
+function splitDiffHunks(diff) {
+  // One entry per hunk; files without hunks (binary, mode-only) become a single header-only entry.
+  const entries = [];
+  let file = null;
+  let header = [];
+  let hunk = null;
+  let hunkCount = 0;
+
+  const flushHunk = () => {
+    if (hunk) entries.push({ file, header: header.join('\n'), hunk: hunk.join('\n') });
+    hunk = null;
+  };
+  const flushFile = () => {
+    flushHunk();
+    if (file !== null && hunkCount === 0) entries.push({ file, header: header.join('\n'), hunk: '' });
+  };
+
+  for (const line of String(diff || '').replace(/\n$/, '').split('\n')) {
+    if (line.startsWith('diff --git ')) {
+      flushFile();
+      const m = line.match(/^diff --git a\/.* b\/(.*)$/);
+      file = m ? m[1] : line.slice('diff --git '.length);
+      header = [line];
+      hunkCount = 0;
+    } else if (line.startsWith('@@') && file !== null) {
+      flushHunk();
+      hunk = [line];
+      hunkCount += 1;
+    } else if (hunk) {
+      hunk.push(line);
+    } else if (file !== null) {
+      header.push(line);
+    }
+  }
+  flushFile();
+  return entries;
+}
+
+function fitDiffToBudget(diff, budget) {
+  // Greedy in diff order; a file header is paid for once, with its first included hunk.
+  const kept = [];
+  const dropped = [];
+  const headerPaid = new Set();
+  let used = 0;
+
+  for (const e of splitDiffHunks(diff)) {
+    const headerCost = headerPaid.has(e.file) ? 0 : estimateTokens(e.header + '\n');
+    const hunkCost = estimateTokens(e.hunk ? e.hunk + '\n' : '');
+    const label = e.hunk ? `${e.file} ${e.hunk.split('\n')[0].replace(/ @@.*$/, ' @@')}` : e.file;
+    if (used + headerCost + hunkCost <= budget) {
+      kept.push(e);
+      headerPaid.add(e.file);
+      used += headerCost + hunkCost;
+    } else {
+      dropped.push({ kind: 'diff', label, tokens: headerCost + hunkCost });
+    }
+  }
+
+  const lines = [];
+  let lastFile = null;
+  for (const e of kept) {
+    if (e.file !== lastFile) lines.push(e.header);
+    if (e.hunk) lines.push(e.hunk);
+    lastFile = e.file;
+  }
+  return { text: lines.length ? lines.join('\n') + '\n' : '', used, dropped };
+}
+
+function fileRecency(files) {
+  // Most recent first: last commit time, or mtime for uncommitted/untracked files.
+  const wanted = new Set(files);
+  const times = new Map();
+  const history = runCommand('git -c core.quotepath=off log --no-renames --format=%x00%ct --name-only', { silent: true });
+  let t = 0;
+  for (const line of history.split('\n')) {
+    if (line.startsWith('\0')) {
+      t = Number(line.slice(1)) * 1000;
+    } else if (line && wanted.has(line) && !times.has(line)) {
+      times.set(line, t);
+    }
+  }
+
+  const dirty = new Set([
+    ...runCommand('git diff --name-only -z HEAD', { silent: true }).split('\0'),
+    ...runCommand('git ls-files --others --exclude-standard -z', { silent: true }).split('\0'),
+  ].filter(Boolean));
+
+  for (const f of files) {
+    if (times.has(f) && !dirty.has(f)) continue;
+    try {
+      times.set(f, Math.max(times.get(f) || 0, fs.statSync(f).mtimeMs));
+    } catch {
+      times.set(f, times.get(f) || 0);
+    }
+  }
+  return times;
+}
+
+function sortByRecency(items, getPath) {
+  const times = fileRecency(items.map(getPath));
+  return [...items].sort((a, b) => {
+    const d = (times.get(getPath(b)) || 0) - (times.get(getPath(a)) || 0);
+    return d !== 0 ? d : getPath(a).localeCompare(getPath(b));
+  });
+}
+
+function parseMaxTokens(value, config) {
+  const raw = value !== undefined ? value : config && config.aiDev && config.aiDev.maxTokens;
+  if (raw === undefined || raw === null || raw === true || raw === '' || Number(raw) === 0) return null;
+  const n = Number(raw);
+  if (!Number.isInteger(n) || n < 0) throw new Error(`max tokens must be a non-negative integer (got "${raw}")`);
+  return n;
+}
+
+const LAYER0_PATTERNS = ['docs/ARCHITECTURE.md', 'docs/CONVENTIONS.md', 'docs/adr/ADR-*.md'];
+
+function packSnapshot(config, { maxTokens = null, metadata = null, quiet = false } = {}) {
+  const files = selectSnapshotFiles(config);
+  const git = collectGitSignals(config);
+
+  const renderFile = f => `<file path="${xmlAttr(f)}">\n${safeRead(f).replace(/\s+$/, '')}\n</file>\n`;
+
+  const preamble = [];
+  preamble.push('This file is a merged representation of a subset of the codebase, packed by bootstrap.js (native engine).');
+  preamble.push('The content is selected by the include/ignore patterns in repomix.config.json.');
+  if (metadata) preamble.push(renderFreshnessTag(metadata));
+  preamble.push('');
+  preamble.push('<file_summary>');
+  preamble.push('<purpose>');
+  preamble.push('A packed representation of the repository for consumption by AI tools (Claude / Cursor).');
+  preamble.push('</purpose>');
+  preamble.push('<file_format>');
+  preamble.push('1. This summary section');
+  preamble.push('2. User provided header');
+  preamble.push('3. Directory structure');
+  preamble.push('4. Repository files, each wrapped in a <file path="..."> element');
+  preamble.push('5. Git diffs and recent git log entries (if enabled)');
+  preamble.push('6. Omitted content manifest (only when a token budget dropped something)');
+  preamble.push('</file_format>');
+  preamble.push('<notes>');
+  preamble.push('- Files matching .gitignore and the ignore patterns are excluded');
+  preamble.push('- Binary files are excluded');
+  if (maxTokens) preamble.push(`- Token budget: ${maxTokens} (estimated at ~4 characters per token)`);
+  preamble.push('</notes>');
+  preamble.push('</file_summary>');
+  preamble.push('');
+  if (config.output.headerText) {
+    preamble.push('<user_provided_header>');
+    preamble.push(String(config.output.headerText).trimEnd());
+    preamble.push('</user_provided_header>');
+    preamble.push('');
+  }
+  preamble.push('<directory_structure>');
+  preamble.push(renderDirectoryTree(files));
+  preamble.push('</directory_structure>');
+  preamble.push('');
+
+  const logsBlock = config.git.includeLogs ? `\n<git_logs>\n${git.logs.trimEnd()}\n</git_logs>` : '';
+
+  // Onion priority: Layer 0 (+ fixed overhead) always, then diff hunks, then other files by recency.
+  const layer0 = files.filter(f => matchesAny(f, LAYER0_PATTERNS));
+  const others = files.filter(f => !matchesAny(f, LAYER0_PATTERNS));
+  const budget = maxTokens || Infinity;
+  const omitted = [];
+
+  let used = estimateTokens(preamble.join('\n') + logsBlock) + layer0.reduce((n, f) => n + estimateTokens(renderFile(f)), 0);
+  if (used > budget && !quiet) log(`  ⚠️  Layer 0 alone (~${used} tokens) exceeds the ${maxTokens}-token budget.`, 'yellow');
+
+  let workTreeDiff = git.workTreeDiff;
+  let stagedDiff = git.stagedDiff;
+  if (maxTokens) {
+    const wt = fitDiffToBudget(workTreeDiff, Math.max(0, budget - used));
+    used += wt.used;
+    const st = fitDiffToBudget(stagedDiff, Math.max(0, budget - used));
+    used += st.used;
+    workTreeDiff = wt.text;
+    stagedDiff = st.text;
+    omitted.push(...wt.dropped, ...st.dropped);
+  }
+
+  const keptOthers = new Set();
+  for (const f of maxTokens ? sortByRecency(others, x => x) : others) {
+    const cost = estimateTokens(renderFile(f));
+    if (used + cost <= budget) {
+      keptOthers.add(f);
+      used += cost;
+    } else {
+      omitted.push({ kind: 'file', label: f, tokens: cost });
+    }
+  }
+
+  const parts = [...preamble];
+  parts.push('<files>');
+  for (const f of files) {
+    if (layer0.includes(f) || keptOthers.has(f)) parts.push(renderFile(f));
+  }
+  parts.push('</files>');
+
+  if (config.git.includeDiffs) {
+    parts.push('');
+    parts.push('<git_diffs>');
+    parts.push('<git_diff_work_tree>');
+    parts.push(workTreeDiff.trimEnd());
+    parts.push('</git_diff_work_tree>');
+    parts.push('<git_diff_staged>');
+    parts.push(stagedDiff.trimEnd());
+    parts.push('</git_diff_staged>');
+    parts.push('</git_diffs>');
+  }
+
+  if (logsBlock) parts.push(logsBlock.slice(1));
+
+  if (omitted.length) {
+    parts.push('');
+    parts.push(`<omitted_content budget="${maxTokens}" used="${used}">`);
+    parts.push('The following content was dropped to fit the token budget. It exists in the repository; ask for it explicitly if needed.');
+    for (const o of omitted) parts.push(`- [${o.kind}] ${o.label} (~${o.tokens} tokens)`);
+    parts.push('</omitted_content>');
+  }
+
+  return { content: parts.join('\n') + '\n', files, omitted, tokens: used };
+}
+
+function runRepomix(outPath) {
+  if (!hasCommand('npx')) {
+    log('  ⚠️  npx not found; cannot run repomix.', 'yellow');
+    return false;
+  }
+  // The path comes from repomix.config.json (committed); keep anything a shell expands inside quotes out
+  if (/[`$"\\%\n\r]/.test(outPath)) {
+    log(`  ⚠️  Unsupported characters in output path "${outPath}"; not running repomix.`, 'yellow');
+    return false;
+  }
+  try {
+    runCommand(`npx -y repomix --output "${outPath}"`, { silent: false });
+    return true;
+  } catch {
+    log('  ⚠️  Repomix failed.', 'yellow');
+    return false;
+  }
+}
+
+// Secret redaction: every context artifact passes through redactArtifact() before it is written.
+// Known token formats always apply; .ai-dev/redact.json adds allow/deny rules and tunes entropy.
+const REDACT_CONFIG_PATH = '.ai-dev/redact.json';
+const SECRET_PATTERNS = [
+  { id: 'private-key', re: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g },
+  { id: 'aws-access-key', re: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  { id: 'aws-secret-key', re: /aws_?secret_?access_?key["']?\s*[:=]\s*["']?([A-Za-z0-9/+=]{40})(?![A-Za-z0-9/+=])/gi, group: 1 },
+  { id: 'github-token', re: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})\b/g },
+  { id: 'stripe-key', re: /\b(?:sk|rk)_(?:live|test)_[A-Za-z0-9]{16,}\b|\bwhsec_[A-Za-z0-9]{24,}\b/g },
+  { id: 'slack-token', re: /\bxox[abposr]-[A-Za-z0-9-]{10,}/g },
+  { id: 'google-api-key', re: /\bAIza[0-9A-Za-z_-]{35}\b/g },
+  { id: 'llm-api-key', re: /\bsk-(?:ant-|proj-)?[A-Za-z0-9_-]{32,}/g },
+  { id: 'jwt', re: /\beyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/g },
+  { id: 'url-credentials', re: /\b[a-z][a-z0-9+.-]*:\/\/[^\s:/@'"]+:([^\s@/'"]{3,})@/gi, group: 1 },
+  // Assignments: quoted values in code, bare values in .env-style files; placeholders are skipped
+  { id: 'secret-assignment', re: /[\w.-]*(?:secret|passw(?:or)?d|token|api[_-]?key|access[_-]?key|private[_-]?key|credentials?)[\w.-]*["']?\s*[:=]\s*["']([^"'\s]{8,})["']/gi, group: 1, value: true },
+  { id: 'env-secret', re: /^\s*(?:export\s+)?[A-Z0-9_]*(?:SECRET|PASSWORD|PASSWD|TOKEN|API_KEY|ACCESS_KEY|PRIVATE_KEY|CREDENTIALS?)[A-Z0-9_]*\s*=\s*["']?([^\s"'#]{8,})/gm, group: 1, value: true },
+];
+const REDACT_DEFAULTS = { allow: [], allowFiles: [], deny: [], entropy: { threshold: 4.5, minLength: 32 }, strict: false };
+const PLACEHOLDER_VALUE = /^(?:x{3,}|\*{3,}|\.{3,}|changeme|change[-_]me|your[-_].*|<.*>|\$\{.*\}|\$[A-Z_]+|\{\{.*\}\}|%\(.*\)s|example.*|dummy.*|placeholder.*|test(?:ing)?|secret|password|null|undefined|none|true|false|\[REDACTED.*)$/i;
+
+function shannonEntropy(s) {
+  const counts = new Map();
+  for (const c of s) counts.set(c, (counts.get(c) || 0) + 1);
+  let e = 0;
+  for (const n of counts.values()) e -= (n / s.length) * Math.log2(n / s.length);
+  return e;
+}
+
+function loadRedactConfig() {
+  if (!fs.existsSync(REDACT_CONFIG_PATH)) return REDACT_DEFAULTS;
+  let raw;
+  try {
+    raw = JSON.parse(safeRead(REDACT_CONFIG_PATH));
+  } catch (e) {
+    throw new Error(`${REDACT_CONFIG_PATH} is not valid JSON: ${e.message}`);
+  }
+  const toRegExp = s => {
+    if (!/^\/.+\/[a-z]*$/.test(s)) return null;
+    try {
+      return new RegExp(s.slice(1, s.lastIndexOf('/')), s.slice(s.lastIndexOf('/') + 1));
+    } catch (e) {
+      throw new Error(`${REDACT_CONFIG_PATH}: ${e.message}`);
+    }
+  };
+  // matchAll needs the g flag; the user's own flags (i, m, s, u) are kept
+  const withGlobalFlag = re => new RegExp(re.source, re.flags.includes('g') ? re.flags : `${re.flags}g`);
+  return {
+    // allow: literal values or /regex/ that are never redacted (test fixtures, public keys)
+    allow: (raw.allow || []).map(s => toRegExp(s) || s),
+    // deny: extra /regex/ or literal strings that are always redacted
+    deny: (raw.deny || []).map(s => ({ id: 'deny', re: withGlobalFlag(toRegExp(s) || new RegExp(s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))) })),
+    allowFiles: raw.allowFiles || [],
+    entropy: raw.entropy === false ? null : { ...REDACT_DEFAULTS.entropy, ...(raw.entropy || {}) },
+    strict: !!raw.strict,
+  };
+}
+
+function artifactSectionIndex(content) {
+  // Where each file starts inside an artifact (<file path="...">, "=== path ... ===" or a diff header)
+  const headers = [];
+  for (const m of content.matchAll(/^<file path="([^"]+)">$|^=== (\S+)(?: \(.*\))? ===$|^diff --git a\/(\S+) /gm)) {
+    headers.push({ index: m.index, file: (m[1] || m[2] || m[3]).replace(/&quot;/g, '"').replace(/&lt;/g, '<').replace(/&amp;/g, '&') });
+  }
+  return index => {
+    let hit = null;
+    for (const h of headers) {
+      if (h.index > index) break;
+      hit = h;
+    }
+    return hit;
+  };
+}
+
+function redactSecrets(content, config) {
+  const rules = [...SECRET_PATTERNS, ...config.deny];
+  if (config.entropy) rules.push({ id: 'high-entropy', re: new RegExp(`[A-Za-z0-9+/_-]{${config.entropy.minLength},}={0,2}`, 'g'), entropy: true });
+  const sectionAt = artifactSectionIndex(content);
+  const allowed = value => config.allow.some(a => (typeof a === 'string' ? a === value : a.test(value)));
+
+  const hits = [];
+  for (const rule of rules) {
+    rule.re.lastIndex = 0;
+    for (const m of content.matchAll(rule.re)) {
+      const value = rule.group ? m[rule.group] : m[0];
+      if (!value) continue;
+      const start = m.index + (rule.group ? m[0].lastIndexOf(value) : 0);
+      if (rule.value && (PLACEHOLDER_VALUE.test(value) || shannonEntropy(value) < 3)) continue;
+      if (rule.entropy && (shannonEntropy(value) < config.entropy.threshold || !/[a-z]/.test(value) || !/[A-Z]/.test(value) || !/\d/.test(value))) continue;
+      if (allowed(value)) continue;
+      const section = sectionAt(start);
+      if (section && matchesAny(section.file, config.allowFiles)) continue;
+      hits.push({ rule: rule.id, start, end: start + value.length, value, section });
+    }
+  }
+  // Earlier rules win on overlap (specific formats before generic entropy)
+  hits.sort((a, b) => a.start - b.start || b.end - a.end);
+  const kept = [];
+  for (const h of hits) if (!kept.length || h.start >= kept[kept.length - 1].end) kept.push(h);
+
+  let out = '';
+  let at = 0;
+  for (const h of kept) {
+    out += content.slice(at, h.start) + `[REDACTED:${h.rule}]`;
+    at = h.end;
+  }
+  out += content.slice(at);
+  const findings = kept.map(h => ({
+    rule: h.rule,
+    file: h.section ? h.section.file : null,
+    line: h.section ? lineOf(content, h.start) - lineOf(content, h.section.index) : lineOf(content, h.start),
+    // Only the length: reports and guard messages must not leak any character of the value
+    length: h.value.length,
+  }));
+  return { content: out, findings };
+}
+
+function createRedactConfig() {
+  writeFileSafe(REDACT_CONFIG_PATH, JSON.stringify(REDACT_DEFAULTS, null, 2) + '\n', { overwrite: false });
+}
+
+function redactArtifact(content, outPath, { strict = false, quiet = false } = {}) {
+  // Returns { content, findings, blocked }; blocked = strict mode found something (write nothing).
+  // quiet: scratch artifacts (check) report nothing
+  const config = loadRedactConfig();
+  const { content: redacted, findings } = redactSecrets(content, config);
+  const reportPath = `${outPath}.redactions.json`;
+  if (!findings.length) {
+    fs.rmSync(reportPath, { force: true });
+    return { content, findings, blocked: false };
+  }
+  const blocked = strict || config.strict;
+  fs.writeFileSync(reportPath, JSON.stringify({ artifact: outPath, mode: blocked ? 'strict' : 'redact', generatedAt: new Date().toISOString(), findings }, null, 2) + '\n', 'utf8');
+  const byRule = {};
+  for (const f of findings) byRule[f.rule] = (byRule[f.rule] || 0) + 1;
+  const summary = Object.entries(byRule).map(([rule, n]) => `${rule} ×${n}`).join(', ');
+  if (quiet) return { content: blocked ? null : redacted, findings, blocked };
+  if (!blocked) {
+    log(`  🔒 Redacted ${findings.length} potential secret(s) in ${outPath} (${summary}); report: ${reportPath}`, 'yellow');
+    return { content: redacted, findings, blocked };
+  }
+  log(`✗ ${findings.length} potential secret(s) found (${summary}); ${outPath} not written (strict mode):`, 'red');
+  for (const f of findings.slice(0, 20)) log(`   ${f.file || outPath}:${f.line}  ${f.rule} (${f.length} chars)`, 'red');
+  if (findings.length > 20) log(`   … ${findings.length - 20} more in ${reportPath}`, 'red');
+  log(`   Remove the secrets, or allowlist false positives in ${REDACT_CONFIG_PATH} ("allow" / "allowFiles").`, 'dim');
+  return { content: null, findings, blocked };
+}
+
+// Pre-commit guard: staged generated artifacts, oversized files and secrets (added lines only).
+// Override per commit with AI_DEV_GUARD_OVERRIDE="<reason>" (or guard --override); every use is logged.
+// The log is tracked (an audit trail must survive clones and uninstall); an override made by the
+// pre-commit hook stages the log entry and is recorded as a Guard-Override trailer (lint-commit).
+const GUARD_CONFIG_PATH = '.ai-dev/guard.json';
+const GUARD_LOG = '.ai-dev/guard-overrides.log';
+const GUARD_OVERRIDE_TRAILER = 'Guard-Override';
+// Reason handed from the pre-commit guard to the commit-msg hook (inside .git, per worktree)
+const GUARD_OVERRIDE_PENDING = 'ai-dev-guard-override';
+const GUARD_DEFAULTS = { maxFileSizeKb: 1024, allowPaths: [], blockPaths: [] };
+const GUARD_ARTIFACT_PATTERNS = [
+  '.mcp/context.xml*',
+  '.mcp/context_incremental.txt*',
+  '.mcp/branches/**',
+  '.mcp/packages/**',
+  '.mcp/*.meta.json',
+  '.mcp/*.redactions.json',
+  '.mcp/*.log',
+  '.mcp/snapshot.*',
+  '.mcp/*.tmp-*',
+  MANIFEST_PATH,
+  `${TEMPLATE_BASE_DIR}/**`,
+  '.ai-dev-backup-*/**',
+  '.env',
+  '**/.env',
+  '.env.*',
+  '**/.env.*',
+];
+const ENV_TEMPLATE_FILE = /(^|\/)\.env\.(example|sample|template|dist)$/;
+// First lines of a context artifact, whatever it was renamed to
+const SNAPSHOT_SIGNATURE = /<snapshot_metadata |packed by bootstrap\.js|^# AI Development System Context|This file is a merged representation of/m;
+
+function loadGuardConfig() {
+  if (!fs.existsSync(GUARD_CONFIG_PATH)) return GUARD_DEFAULTS;
+  try {
+    return { ...GUARD_DEFAULTS, ...JSON.parse(safeRead(GUARD_CONFIG_PATH)) };
+  } catch (e) {
+    throw new Error(`${GUARD_CONFIG_PATH} is not valid JSON: ${e.message}`);
+  }
+}
+
+function createGuardConfig() {
+  writeFileSafe(GUARD_CONFIG_PATH, JSON.stringify(GUARD_DEFAULTS, null, 2) + '\n', { overwrite: false });
+}
+
+function diffHeaderPath(header) {
+  // "+++ b/<path>" with core.quotepath=off: names with a space end in a tab, names with control
+  // characters, quotes or backslashes are C-quoted
+  let f = header.replace(/\t$/, '');
+  if (/^".*"$/.test(f)) {
+    try {
+      f = JSON.parse(f.replace(/\\([0-7]{3})/g, (_, o) => `\\u${parseInt(o, 8).toString(16).padStart(4, '0')}`));
+    } catch { // keep it as printed
+    }
+  }
+  return f === '/dev/null' ? null : f.replace(/^b\//, '');
+}
+
+function stagedAddedLines() {
+  // { path: { text, lines } } of added lines per staged file; lines[i] = line number in the file.
+  // "+++ " is a header only between "diff --git" and the first hunk: with -U0 an added "++ x" reads "+++ x"
+  const out = {};
+  let current = null;
+  let inHeader = false;
+  let lineNo = 0;
+  const diff = gitOutput(['-c', 'core.quotepath=off', 'diff', '--cached', '-U0', '--no-color', '--no-ext-diff', '--diff-filter=ACMR']);
+  for (const line of diff.split('\n')) {
+    if (line.startsWith('diff --git ')) {
+      inHeader = true;
+      current = null;
+    } else if (inHeader && line.startsWith('+++ ')) {
+      const f = diffHeaderPath(line.slice(4));
+      current = f && (out[f] = { text: [], lines: [] });
+    } else if (line.startsWith('@@')) {
+      inHeader = false;
+      lineNo = Number((line.match(/\+(\d+)/) || [])[1] || 0);
+    } else if (current && !inHeader && line.startsWith('+')) {
+      current.text.push(line.slice(1));
+      current.lines.push(lineNo++);
+    }
+  }
+  return out;
+}
+
+function guardStaged() {
+  const config = loadGuardConfig();
+  const redactConfig = loadRedactConfig();
+  const staged = gitOutput(['diff', '--cached', '--name-only', '-z', '--diff-filter=ACMR']).split('\0').filter(Boolean);
+  const snapshotOut = loadRepomixConfig().output.filePath;
+  const blockPatterns = [...GUARD_ARTIFACT_PATTERNS, snapshotOut, `${snapshotOut}.*`, ...config.blockPaths];
+  const maxBytes = config.maxFileSizeKb * 1024;
+  const violations = [];
+
+  for (const f of staged) {
+    if (matchesAny(f, config.allowPaths)) continue;
+    if (matchesAny(f, blockPatterns) && !ENV_TEMPLATE_FILE.test(f)) {
+      violations.push({ path: f, rule: 'generated-artifact', reason: 'generated artifact / local-only file' });
+      continue;
+    }
+    const size = Number(gitOutput(['cat-file', '-s', `:${f}`]).trim() || 0);
+    if (size > maxBytes) {
+      violations.push({ path: f, rule: 'size', reason: `${Math.round(size / 1024)} KB > ${config.maxFileSizeKb} KB` });
+      continue;
+    }
+    const head = gitOutput(['cat-file', 'blob', `:${f}`], { buffer: true }).subarray(0, 4096);
+    if (!head.includes(0) && SNAPSHOT_SIGNATURE.test(head.toString('utf8').split('\n').slice(0, 12).join('\n'))) {
+      violations.push({ path: f, rule: 'generated-artifact', reason: 'looks like a context snapshot (renamed output?)' });
+    }
+  }
+
+  const added = stagedAddedLines();
+  for (const [f, { text, lines }] of Object.entries(added)) {
+    if (matchesAny(f, config.allowPaths) || matchesAny(f, DEFAULT_SNAPSHOT_IGNORE) || violations.some(v => v.path === f)) continue;
+    if (f === REDACT_CONFIG_PATH || f === GUARD_CONFIG_PATH) continue;
+    if (matchesAny(f, redactConfig.allowFiles)) continue;
+    for (const finding of redactSecrets(text.join('\n'), redactConfig).findings) {
+      violations.push({ path: f, line: lines[finding.line - 1], rule: `secret:${finding.rule}`, reason: `possible secret (${finding.rule}, ${finding.length} chars)` });
+    }
+  }
+  return violations;
+}
+
+function logGuardOverride(reason, violations) {
+  ensureDir(path.dirname(GUARD_LOG));
+  const who = runCommand('git var GIT_COMMITTER_IDENT', { silent: true }).replace(/\s+\d+\s+[+-]\d{4}\s*$/, '').trim() || 'unknown';
+  const branch = runCommand('git symbolic-ref --short -q HEAD', { silent: true }).trim() || '(detached)';
+  const entry = [
+    `---- ${new Date().toISOString()} override by ${who} on ${branch}: ${reason}`,
+    ...violations.map(v => `  ${v.path}${v.line ? `:${v.line}` : ''}  ${v.rule}  ${v.reason}`),
+  ];
+  fs.appendFileSync(GUARD_LOG, entry.join('\n') + '\n', 'utf8');
+}
+
+function guardOverridePendingPath() {
+  return gitOutput(['rev-parse', '--git-path', GUARD_OVERRIDE_PENDING]).trim();
+}
+
+function addGuardOverrideTrailer(msgFile) {
+  // Consumes the reason left by the pre-commit guard; no-op outside an overridden commit
+  const pending = guardOverridePendingPath();
+  const reason = pending ? safeRead(pending).replace(/\s+/g, ' ').trim() : '';
+  if (!reason) return;
+  fs.rmSync(pending, { force: true });
+  gitOutput(['interpret-trailers', '--in-place', '--if-exists', 'addIfDifferent', '--trailer', `${GUARD_OVERRIDE_TRAILER}: ${reason}`, msgFile]);
+}
+
+function runGuardCommand(options) {
+  const pending = guardOverridePendingPath();
+  if (pending) fs.rmSync(pending, { force: true }); // left by an earlier commit that failed later
+  let violations;
+  try {
+    violations = guardStaged();
+  } catch (e) {
+    log(`✗ ${e.message}`, 'red');
+    return 1;
+  }
+  if (!violations.length) return 0;
+
+  const cliOverride = typeof options.override === 'string' && options.override.trim();
+  const override = String(cliOverride || process.env.AI_DEV_GUARD_OVERRIDE || '').trim();
+  log(`${override ? '⚠️' : '✗'} ai-dev guard: ${violations.length} problem(s) in staged files`, override ? 'yellow' : 'red');
+  for (const v of violations) log(`   ${v.path}${v.line ? `:${v.line}` : ''}  ${v.reason}`, override ? 'yellow' : 'red');
+  if (override) {
+    logGuardOverride(override, violations);
+    // The environment variable is the commit path (pre-commit hook): commit-msg adds the trailer, and
+    // the log entry is staged into the same commit (git add honours the hook's GIT_INDEX_FILE)
+    const inCommit = !cliOverride && pending;
+    if (inCommit) {
+      fs.writeFileSync(pending, override + '\n', 'utf8');
+      gitOutput(['add', '--', GUARD_LOG]);
+    }
+    log(`   Overridden ("${override}"); logged to ${GUARD_LOG}${inCommit ? ` (staged with this commit) and recorded as a ${GUARD_OVERRIDE_TRAILER} trailer` : ''}`, 'yellow');
+    return 0;
+  }
+  log('   Unstage with: git restore --staged <path>  (or git rm --cached <path> for files already tracked)', 'dim');
+  log(`   False positive: allowlist it in ${REDACT_CONFIG_PATH} (secrets) or ${GUARD_CONFIG_PATH} (allowPaths / maxFileSizeKb)`, 'dim');
+  log('   Deliberate: AI_DEV_GUARD_OVERRIDE="<reason>" git commit ...  (the override is logged)', 'dim');
+  return 1;
+}
+
+function generateSnapshot({ engine, maxTokens, outPath: outOverride, strict = false, quiet = false } = {}) {
+  const config = loadRepomixConfig();
+  const perBranch = !outOverride && config.aiDev.branchSnapshots !== false;
+  const branchKey = snapshotBranchKey();
+  const outPath = outOverride || (perBranch ? branchSnapshotPath(config, branchKey) : config.output.filePath);
+  const chosen = engine || config.aiDev.snapshotEngine || 'native';
+  const budget = parseMaxTokens(maxTokens, config);
+
+  // Readers never see a half-written snapshot: write to a temp file, then rename over the target
+  ensureDir(path.dirname(outPath));
+  const tmpPath = `${outPath}.tmp-${process.pid}`;
+  const meta = collectFreshness();
+  const publish = () => {
+    fs.renameSync(tmpPath, outPath);
+    writeSnapshotMeta(outPath, meta);
+    // Skip the pointer if the checkout moved on while we were packing (post-checkout queues a new run)
+    if (perBranch && snapshotBranchKey() === branchKey) pointCurrentSnapshot(config, branchKey);
+  };
+  const pointer = perBranch ? config.output.filePath : outPath;
+
+  if (chosen === 'repomix') {
+    if (budget && !quiet) log('  ⚠️  Token budgets are only applied by the native engine.', 'yellow');
+    if (runRepomix(tmpPath) && fs.existsSync(tmpPath)) {
+      const redaction = redactArtifact(fs.readFileSync(tmpPath, 'utf8'), outPath, { strict, quiet });
+      if (redaction.blocked) {
+        fs.rmSync(tmpPath, { force: true });
+        return { engine: 'repomix', outPath: pointer, ok: false, blocked: redaction.findings };
+      }
+      fs.writeFileSync(tmpPath, `${renderFreshnessTag(meta)}\n${redaction.content}`, 'utf8');
+      publish();
+      return { engine: 'repomix', outPath: pointer, branchPath: perBranch ? outPath : null, ok: true };
+    }
+    log('  ↪ Falling back to the native snapshot engine.', 'yellow');
+  } else if (chosen !== 'native') {
+    log(`  ⚠️  Unknown snapshot engine "${chosen}"; using native.`, 'yellow');
+  }
+
+  const { content, files, omitted, tokens } = packSnapshot(config, { maxTokens: budget, metadata: meta, quiet });
+  const redaction = redactArtifact(content, outPath, { strict, quiet });
+  if (redaction.blocked) return { engine: 'native', outPath: pointer, ok: false, blocked: redaction.findings };
+  fs.writeFileSync(tmpPath, redaction.content, 'utf8');
+  publish();
+  return { engine: 'native', outPath: pointer, branchPath: perBranch ? outPath : null, ok: true, fileCount: files.length, omitted, tokens };
+}
+
+// Per-branch snapshots: .mcp/branches/<branch>/context.xml, with the configured output path
+// (.mcp/context.xml) as the stable pointer to the snapshot of the checked-out branch.
+function snapshotBranchKey() {
+  const branch = runCommand('git symbolic-ref --short -q HEAD', { silent: true }).trim();
+  return branch ? branch.replace(/[^A-Za-z0-9._/-]/g, '_').replace(/\.\.+/g, '_') : 'detached';
+}
+
+function branchSnapshotPath(config, key = snapshotBranchKey()) {
+  const out = config.output.filePath;
+  return path.posix.join(path.posix.dirname(out), 'branches', key, path.posix.basename(out));
+}
+
+function pointCurrentSnapshot(config, key = snapshotBranchKey()) {
+  // Copies (temp + rename) the branch snapshot and its sidecar to the pointer path
+  const src = branchSnapshotPath(config, key);
+  const dest = config.output.filePath;
+  if (!fs.existsSync(src)) return false;
+  for (const [from, to] of [[src, dest], [snapshotMetaPath(src), snapshotMetaPath(dest)]]) {
+    if (!fs.existsSync(from)) continue;
+    const tmp = `${to}.tmp-${process.pid}`;
+    fs.copyFileSync(from, tmp);
+    fs.renameSync(tmp, to);
+  }
+  return true;
+}
+
+function currentHead() {
+  return runCommand('git rev-parse --verify -q HEAD', { silent: true }).trim() || null;
+}
+
+// Freshness metadata: embedded as a <snapshot_metadata/> line in every context artifact and
+// written to a <artifact>.meta.json sidecar, so readers can tell which commit they are looking at.
+function collectFreshness() {
+  return {
+    head: currentHead(),
+    branch: runCommand('git symbolic-ref --short -q HEAD', { silent: true }).trim() || null, // null = detached
+    dirty: !!runCommand('git status --porcelain', { silent: true }).trim(),
+    generator: `bootstrap.js ${BOOTSTRAP_VERSION}`,
+    generatedAt: new Date().toISOString(),
+    architecture: architectureStatus(),
+  };
+}
+
+function renderFreshnessTag(meta) {
+  const tag = `<snapshot_metadata head="${xmlAttr(meta.head || '')}" branch="${xmlAttr(meta.branch || '')}" dirty="${meta.dirty}" generator="${xmlAttr(meta.generator)}" generated_at="${meta.generatedAt}"/>`;
+  const arch = meta.architecture;
+  if (!arch || (!arch.degraded && !arch.pending.length)) return tag;
+  // Agents read this before ARCHITECTURE.md itself, so say how far to trust it
+  const mode = arch.degraded ? 'degraded' : 'incomplete';
+  return `${tag}\n<architecture_status mode="${mode}" complete="${arch.percent}%" todo="${xmlAttr(arch.pending.join(', '))}">${ARCHITECTURE_PATH} is INCOMPLETE (${mode}): treat it as suggestions, state assumptions and ask before architectural changes.</architecture_status>`;
+}
+
+function parseFreshnessTag(content) {
+  const m = String(content).match(/<snapshot_metadata ([^>]*)\/>/);
+  if (!m) return null;
+  const attr = name => {
+    const a = m[1].match(new RegExp(`${name}="([^"]*)"`));
+    return a ? a[1].replace(/&lt;/g, '<').replace(/&quot;/g, '"').replace(/&amp;/g, '&') : '';
+  };
+  return { head: attr('head') || null, branch: attr('branch') || null, dirty: attr('dirty') === 'true', generator: attr('generator'), generatedAt: attr('generated_at') };
+}
+
+function snapshotMetaPath(outPath) {
+  return `${outPath}.meta.json`;
+}
+
+function writeSnapshotMeta(outPath, meta) {
+  fs.writeFileSync(snapshotMetaPath(outPath), JSON.stringify(meta, null, 2) + '\n', 'utf8');
+}
+
+function readSnapshotMeta(outPath) {
+  try {
+    return JSON.parse(fs.readFileSync(snapshotMetaPath(outPath), 'utf8'));
+  } catch {
+    // No sidecar (e.g. copied without it): fall back to the embedded header
+    const head = fs.existsSync(outPath) ? fs.readFileSync(outPath, 'utf8').slice(0, 4096) : '';
+    return parseFreshnessTag(head);
+  }
+}
+
+function snapshotFreshness(outPath = loadRepomixConfig().output.filePath) {
+  // state: missing | unknown (no metadata) | stale | current
+  const head = currentHead();
+  if (!fs.existsSync(outPath)) return { state: 'missing', outPath, head };
+  const meta = readSnapshotMeta(outPath);
+  if (!meta) return { state: 'unknown', outPath, head, meta };
+  if (meta.head === head) return { state: 'current', outPath, head, meta };
+  const behind = head && /^[0-9a-f]{7,64}$/.test(meta.head || '') ? runCommand(`git rev-list --count ${meta.head}..${head}`, { silent: true }).trim() : '';
+  return { state: 'stale', outPath, head, meta, behind };
+}
+
+function describeFreshness(f) {
+  const short = sha => (sha ? sha.slice(0, 7) : '(none)');
+  if (f.state === 'missing') return `${f.outPath}: missing`;
+  if (f.state === 'unknown') return `${f.outPath}: no freshness metadata (generated by an older version?)`;
+  if (f.state === 'current') {
+    return `${f.outPath}: current (HEAD ${short(f.head)}${f.meta.branch ? ` on ${f.meta.branch}` : ''}, generated ${f.meta.generatedAt}${f.meta.dirty ? ', from a dirty tree' : ''})`;
+  }
+  return `${f.outPath}: stale (generated from ${short(f.meta.head)}, HEAD is ${short(f.head)}${f.behind ? `, ${f.behind} commit(s) behind` : ''})`;
+}
+
+// Background regeneration: one detached worker at a time (lock file); triggers that arrive
+// while it runs only leave a "pending" marker, so a burst of commits costs one or two runs.
+const SNAPSHOT_LOCK = '.mcp/snapshot.lock';
+const SNAPSHOT_PENDING = '.mcp/snapshot.pending';
+const SNAPSHOT_LOG = '.mcp/post-commit.log';
+
+function pidAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e.code === 'EPERM';
+  }
+}
+
+function readSnapshotLock() {
+  let stat;
+  try {
+    stat = fs.statSync(SNAPSHOT_LOCK);
+  } catch {
+    return null;
+  }
+  try {
+    const lock = JSON.parse(fs.readFileSync(SNAPSHOT_LOCK, 'utf8'));
+    return { ...lock, alive: pidAlive(lock.pid) };
+  } catch {
+    // Just created and not written yet, or garbage left by a crash
+    return { pid: null, alive: Date.now() - stat.mtimeMs < 5000 };
+  }
+}
+
+function acquireSnapshotLock() {
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      const fd = fs.openSync(SNAPSHOT_LOCK, 'wx');
+      fs.writeSync(fd, JSON.stringify({ pid: process.pid, startedAt: new Date().toISOString() }));
+      fs.closeSync(fd);
+      return true;
+    } catch (e) {
+      if (e.code !== 'EEXIST') throw e;
+      const lock = readSnapshotLock();
+      if (lock && lock.alive) return false;
+      fs.rmSync(SNAPSHOT_LOCK, { force: true }); // stale: the worker that held it is gone
+    }
+  }
+  return false;
+}
+
+function sleepMs(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+function snapshotPassthroughArgs(options) {
+  const args = [];
+  if (typeof options.engine === 'string') args.push(`--engine=${options.engine}`);
+  if (options['max-tokens'] !== undefined) args.push(`--max-tokens=${options['max-tokens']}`);
+  if (options.strict) args.push('--strict');
+  return args;
+}
+
+function queueBackgroundSnapshot(options) {
+  ensureDir('.mcp');
+  // Branch switch to a branch whose snapshot is already current: just move the pointer
+  const config = loadRepomixConfig();
+  if (config.aiDev.branchSnapshots !== false) {
+    const branchPath = branchSnapshotPath(config);
+    const meta = readSnapshotMeta(branchPath);
+    if (fs.existsSync(branchPath) && meta && meta.head === currentHead()) {
+      pointCurrentSnapshot(config);
+      log(`✓ ${config.output.filePath} → ${branchPath} (already current)`, 'green');
+      return 0;
+    }
+  }
+  fs.writeFileSync(SNAPSHOT_PENDING, `${currentHead() || ''}\n`, 'utf8');
+  const lock = readSnapshotLock();
+  if (lock && lock.alive) {
+    log(`↪ Snapshot regeneration already running (pid ${lock.pid}); queued for ${(currentHead() || 'HEAD').slice(0, 7)}`, 'dim');
+    return 0;
+  }
+  const out = fs.openSync(SNAPSHOT_LOG, 'a');
+  const child = cp.spawn(process.execPath, [__filename, 'snapshot', '--worker', ...snapshotPassthroughArgs(options)], {
+    detached: true,
+    stdio: ['ignore', out, out],
+    windowsHide: true,
+  });
+  child.unref();
+  fs.closeSync(out);
+  log(`✓ Snapshot regeneration started in the background (pid ${child.pid}); log: ${SNAPSHOT_LOG}`, 'green');
+  return 0;
+}
+
+function runSnapshotWorker(options) {
+  if (!acquireSnapshotLock()) return 0; // the running worker will see the pending marker
+  const debounce = Number(loadRepomixConfig().aiDev.snapshotDebounceMs) || 0;
+  let status = 0;
+  try {
+    do {
+      sleepMs(debounce); // let the rest of a commit burst land first
+      fs.rmSync(SNAPSHOT_PENDING, { force: true }); // absent on a direct --worker run
+      log(`---- background snapshot (pid ${process.pid}) for ${(currentHead() || 'HEAD').slice(0, 7)} ----`, 'dim');
+      status = runSnapshotCommand(options);
+    } while (fs.existsSync(SNAPSHOT_PENDING));
+  } finally {
+    // force: uninstall or a manual cleanup may have removed it; never mask the real result
+    fs.rmSync(SNAPSHOT_LOCK, { force: true });
+  }
+  // A trigger may have seen our lock just before we released it
+  if (fs.existsSync(SNAPSHOT_PENDING)) return runSnapshotWorker(options);
+  return status;
+}
+
+function runSnapshotStatusCommand() {
+  const lock = readSnapshotLock();
+  if (lock && lock.alive) {
+    log(`⏳ ${loadRepomixConfig().output.filePath}: in progress (pid ${lock.pid}${lock.startedAt ? `, started ${lock.startedAt}` : ''})`, 'cyan');
+    return 1;
+  }
+  const f = snapshotFreshness();
+  if (f.state === 'current') {
+    log(`✓ ${describeFreshness(f)}`, 'green');
+    return 0;
+  }
+  log(`✗ ${describeFreshness(f)}`, 'red');
+  if (fs.existsSync(SNAPSHOT_PENDING)) log('   A regeneration is queued but no worker is running; see ' + SNAPSHOT_LOG, 'yellow');
+  log(`    ↪ Run: node ${SCRIPT_PATH} snapshot`, 'dim');
+  return 1;
+}
+
+function runSnapshotVerifyCommand() {
+  // CI-friendly: no lock handling, just "does the snapshot describe HEAD?"
+  const f = snapshotFreshness();
+  if (f.state === 'current') {
+    log(`✓ ${describeFreshness(f)}`, 'green');
+    return 0;
+  }
+  // Snapshots are gitignored: a fresh clone or CI checkout has none, which is not drift
+  if (f.state === 'missing') {
+    log(`• ${describeFreshness(f)} (fresh clone or CI; nothing to verify)`, 'yellow');
+    return 0;
+  }
+  log(`✗ ${describeFreshness(f)}`, 'red');
+  return 1;
+}
+
+function listAdrFiles(dir = 'docs/adr') {
+  let names = [];
+  try {
+    names = fs.readdirSync(dir);
+  } catch {
+    return [];
+  }
+  return names
+    .map(name => ({ name, m: name.match(/^ADR-(\d+)-.*\.md$/) }))
+    .filter(x => x.m)
+    .map(x => ({ id: Number(x.m[1]), file: `${dir}/${x.name}` }))
+    .sort((a, b) => a.id - b.id);
+}
+
+// ADR lifecycle: files are docs/adr/ADR-NNN-<slug>.md with YAML front-matter (older ADRs with
+// **Status:** / **Date:** lines are read and updated in place). docs/adr/README.md is generated
+// (carries ADR_INDEX_MARKER); a README without it is the team's own and is never overwritten.
+const ADR_DIR = 'docs/adr';
+const ADR_INDEX_PATH = `${ADR_DIR}/README.md`;
+const ADR_INDEX_MARKER = 'ai-dev:adr-index';
+const ADR_STATUSES = ['Draft', 'Accepted', 'Rejected', 'Superseded'];
+const ADR_FIELDS = [
+  ['status', 'Status'],
+  ['date', 'Date'],
+  ['supersedes', 'Supersedes'],
+  ['superseded-by', 'Superseded by'],
+];
+
+// Free-text front-matter values are double-quoted (JSON strings are valid YAML), so a title
+// like "Use Postgres: primary store" stays one scalar
+function yamlString(value) {
+  return JSON.stringify(String(value));
+}
+
+function yamlUnquote(value) {
+  if (/^".*"$/.test(value)) {
+    try {
+      return JSON.parse(value);
+    } catch {
+      return value.slice(1, -1);
+    }
+  }
+  if (/^'.*'$/.test(value)) return value.slice(1, -1).replace(/''/g, "'");
+  return value;
+}
+
+function renderAdr({ id, title, date, deciders }) {
+  return `---
+id: ADR-${id}
+title: ${yamlString(title)}
+status: Draft
+date: ${date}
+deciders: ${yamlString(deciders)}
+supersedes:
+superseded-by:
+---
+
+# ADR-${id}: ${title}
+
+## Context
+<What problem are we solving?>
+
+## Decision
+<What did we decide?>
+
+## Rationale
+<Why this decision?>
+
+## Consequences
+<Good and bad effects>
+
+## Alternatives Considered
+<Other options>
+
+## References
+- Links / docs / PRs
+`;
+}
+
+function adrLabel(id) {
+  return `ADR-${String(id).padStart(3, '0')}`;
+}
+
+function parseAdr({ id, file }) {
+  const text = safeRead(file);
+  const fm = text.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n/);
+  const fields = {};
+  if (fm) {
+    for (const line of fm[1].split(/\r?\n/)) {
+      const m = line.match(/^([\w-]+):\s*(.*)$/);
+      if (m) fields[m[1].toLowerCase()] = yamlUnquote(m[2].trim());
+    }
+  } else {
+    for (const [key, label] of ADR_FIELDS) {
+      const m = text.match(new RegExp(`^\\*\\*${label}:\\*\\*\\s*(.*)$`, 'm'));
+      if (m) fields[key] = m[1].trim();
+    }
+  }
+  const heading = (text.match(/^# ADR-\d+:\s*(.+)$/m) || [])[1];
+  return {
+    id,
+    file,
+    label: adrLabel(id),
+    title: fields.title || (heading || '').trim() || path.posix.basename(file, '.md'),
+    status: fields.status || 'Draft',
+    date: fields.date || '',
+    supersedes: fields.supersedes || '',
+    supersededBy: fields['superseded-by'] || '',
+    frontMatter: !!fm,
+    text,
+  };
+}
+
+function listAdrs() {
+  return listAdrFiles(ADR_DIR).map(parseAdr);
+}
+
+function setAdrField(adr, key, value) {
+  // Front-matter "key: value", or the legacy "**Label:** value" line (added under Status if missing)
+  if (adr.frontMatter) {
+    const [, fm] = adr.text.match(/^---\r?\n([\s\S]*?)\r?\n---/);
+    const re = new RegExp(`^${key}:.*$`, 'm');
+    // Function replacers: titles and values may contain "$&"-style replacement patterns
+    const nextFm = re.test(fm) ? fm.replace(re, () => `${key}: ${value}`) : `${fm}\n${key}: ${value}`;
+    adr.text = adr.text.replace(fm, () => nextFm);
+  } else {
+    const label = ADR_FIELDS.find(([k]) => k === key)[1];
+    const re = new RegExp(`^\\*\\*${label}:\\*\\*.*$`, 'm');
+    if (re.test(adr.text)) adr.text = adr.text.replace(re, () => `**${label}:** ${value}`);
+    else adr.text = adr.text.replace(/^\*\*Status:\*\*.*$/m, line => `${line}\n**${label}:** ${value}`);
+  }
+  fs.writeFileSync(adr.file, adr.text, 'utf8');
+}
+
+function addAdrReference(adr, line) {
+  if (adr.text.includes(line)) return;
+  adr.text = /^## References\s*$/m.test(adr.text)
+    ? adr.text.replace(/^## References\s*$/m, heading => `${heading}\n${line}`)
+    : `${adr.text.replace(/\s*$/, '')}\n\n## References\n${line}\n`;
+  fs.writeFileSync(adr.file, adr.text, 'utf8');
+}
+
+function renderAdrIndex(adrs) {
+  const cell = s => String(s).replace(/\|/g, '\\|');
+  const lines = [
+    '# Architecture Decision Records',
+    '',
+    `<!-- ${ADR_INDEX_MARKER}: generated by node ${SCRIPT_PATH} adr; edit the ADR files, then run: node ${SCRIPT_PATH} adr index -->`,
+    '',
+  ];
+  if (!adrs.length) {
+    lines.push('No ADRs yet.');
+  } else {
+    lines.push('| ID | Title | Status | Date |', '| --- | --- | --- | --- |');
+    for (const a of adrs) {
+      const status = a.supersededBy ? `${a.status} by ${a.supersededBy}` : a.status;
+      lines.push(`| [${a.label}](${path.posix.basename(a.file)}) | ${cell(a.title)} | ${cell(status)} | ${a.date} |`);
+    }
+  }
+  lines.push('', `New ADR: \`node ${SCRIPT_PATH} adr new "<title>"\`. Statuses: ${ADR_STATUSES.join(', ')}.`, '');
+  return lines.join('\n');
+}
+
+function adrIndexState() {
+  if (!fs.existsSync(ADR_INDEX_PATH)) return 'missing';
+  const current = safeRead(ADR_INDEX_PATH);
+  if (!current.includes(ADR_INDEX_MARKER)) return 'hand-written';
+  return current === renderAdrIndex(listAdrs()) ? 'ok' : 'stale';
+}
+
+function writeAdrIndex({ force = false } = {}) {
+  // Returns true when the index was (re)written
+  const state = adrIndexState();
+  if (state === 'ok') return false;
+  if (state === 'hand-written') {
+    if (!force) {
+      log(`  ⚠️  ${ADR_INDEX_PATH} was not generated by ${SCRIPT_PATH}; leaving it (use: adr index --force to replace, backup is created)`, 'yellow');
+      return false;
+    }
+    createBackup([ADR_INDEX_PATH]);
+  }
+  writeFileSafe(ADR_INDEX_PATH, renderAdrIndex(listAdrs()), { overwrite: true });
+  return true;
+}
+
+function findAdr(ref) {
+  const m = String(ref || '').match(/^(?:ADR-)?0*(\d+)$/i);
+  return m ? listAdrs().find(a => a.id === Number(m[1])) || null : null;
+}
+
+function runAdrNew(title) {
+  if (!title) {
+    log(`Usage: node ${SCRIPT_PATH} adr new "<title>"`, 'red');
+    return 1;
+  }
+  const adrs = listAdrFiles(ADR_DIR);
+  const id = String(adrs.length ? adrs[adrs.length - 1].id + 1 : 1).padStart(3, '0');
+  const file = `${ADR_DIR}/ADR-${id}-${slugify(title).replace(/^rule$/, 'decision')}.md`;
+  const deciders = runCommand('git config user.name', { silent: true }).trim() || '<names>';
+  ensureDir(ADR_DIR);
+  fs.writeFileSync(file, renderAdr({ id, title, date: new Date().toISOString().slice(0, 10), deciders }), 'utf8');
+  writeAdrIndex();
+  log(`✅ Created ${file} (Draft)`, 'green');
+  log('Next:', 'cyan');
+  log('  1) Fill the sections', 'cyan');
+  log(`  2) node ${SCRIPT_PATH} adr accept ${id}  (or reject)`, 'cyan');
+  log(`  3) Commit: git commit -m "docs(adr): add ADR-${id} ${slugify(title)}"`, 'cyan');
+  return 0;
+}
+
+function runAdrList() {
+  const adrs = listAdrs();
+  if (!adrs.length) {
+    log(`No ADRs in ${ADR_DIR}. Create one: node ${SCRIPT_PATH} adr new "<title>"`, 'dim');
+    return 0;
+  }
+  const width = Math.max(...adrs.map(a => a.status.length + (a.supersededBy ? a.supersededBy.length + 4 : 0)), 6);
+  log(`${'ID'.padEnd(8)}  ${'Status'.padEnd(width)}  ${'Date'.padEnd(10)}  Title`, 'cyan');
+  for (const a of adrs) {
+    const status = a.supersededBy ? `${a.status} by ${a.supersededBy}` : a.status;
+    const color = { Accepted: 'green', Rejected: 'red', Superseded: 'dim' }[a.status] || 'yellow';
+    log(`${a.label.padEnd(8)}  ${status.padEnd(width)}  ${(a.date || '-').padEnd(10)}  ${a.title}`, color);
+  }
+  return 0;
+}
+
+function runAdrSetStatus(ref, status) {
+  const adr = findAdr(ref);
+  if (!adr) {
+    log(`✗ No ADR "${ref || ''}" in ${ADR_DIR} (use the number, e.g. 7 or ADR-007)`, 'red');
+    return 1;
+  }
+  if (adr.status === 'Superseded') {
+    log(`✗ ${adr.label} is superseded by ${adr.supersededBy || 'a later ADR'}; its status is final.`, 'red');
+    return 1;
+  }
+  setAdrField(adr, 'status', status);
+  writeAdrIndex();
+  log(`✅ ${adr.label} → ${status}`, 'green');
+  return 0;
+}
+
+function runAdrSupersede(oldRef, newRef) {
+  const older = findAdr(oldRef);
+  const newer = findAdr(newRef);
+  if (!older || !newer || older.id === newer.id) {
+    log(`Usage: node ${SCRIPT_PATH} adr supersede <old-id> <new-id> (two different existing ADRs)`, 'red');
+    return 1;
+  }
+  setAdrField(older, 'status', 'Superseded');
+  setAdrField(older, 'superseded-by', newer.label);
+  setAdrField(newer, 'supersedes', older.label);
+  addAdrReference(older, `- Superseded by [${newer.label}: ${newer.title}](${path.posix.basename(newer.file)})`);
+  addAdrReference(newer, `- Supersedes [${older.label}: ${older.title}](${path.posix.basename(older.file)})`);
+  writeAdrIndex();
+  log(`✅ ${older.label} superseded by ${newer.label} (both files cross-linked)`, 'green');
+  if (newer.status !== 'Accepted') log(`   ${newer.label} is still ${newer.status}; run: node ${SCRIPT_PATH} adr accept ${newer.id}`, 'dim');
+  return 0;
+}
+
+function runAdrCommand(positional, options = {}) {
+  const [, sub, ...rest] = positional;
+  if (sub === 'new') return runAdrNew(rest.join(' ').trim());
+  if (sub === 'list' || !sub) return runAdrList();
+  if (sub === 'accept') return runAdrSetStatus(rest[0], 'Accepted');
+  if (sub === 'reject') return runAdrSetStatus(rest[0], 'Rejected');
+  if (sub === 'supersede') return runAdrSupersede(rest[0], rest[1]);
+  if (sub === 'index') {
+    if (writeAdrIndex({ force: !!options.force })) return 0;
+    if (adrIndexState() === 'hand-written') return 1;
+    log(`✓ ${ADR_INDEX_PATH} is up to date`, 'green');
+    return 0;
+  }
+  log(`Unknown adr subcommand: ${sub} (expected: new | list | accept | reject | supersede | index)`, 'red');
+  return 1;
+}
+
+function gitRefExists(ref) {
+  // A leading "-" would be read as an option by the git commands the ref is passed to
+  if (!ref || String(ref).startsWith('-')) return false;
+  return !!gitOutput(['rev-parse', '--verify', '--quiet', `${ref}^{commit}`]).trim();
+}
+
+function listChangedFiles(base) {
+  return gitOutput(['diff', '--name-only', '-z', `${base}...HEAD`]).split('\0').filter(Boolean);
+}
+
+function buildIncrementalContext({ base = 'main', adrs = 5, expandHops = 0 } = {}) {
+  // Sections in Onion order; rendering (and any later trimming) keeps this order.
+  const sections = [];
+
+  // Layer 0 — Laws
+  for (const f of ['docs/ARCHITECTURE.md', 'docs/CONVENTIONS.md']) {
+    if (fs.existsSync(f)) sections.push({ layer: 0, kind: 'doc', path: f, title: `=== ${f} ===`, body: safeRead(f) });
+  }
+
+  // Latest ADRs (highest IDs first)
+  const latestAdrs = adrs > 0 ? listAdrFiles().reverse().slice(0, adrs) : [];
+  for (const adr of latestAdrs) {
+    sections.push({ layer: 0, kind: 'adr', path: adr.file, title: `--- ${adr.file} ---`, body: safeRead(adr.file) });
+  }
+
+  // Layer 1 — Delta
+  if (!gitRefExists(base)) {
+    log(`  ⚠️  Base "${base}" not found; Layer 1 (delta) will be empty.`, 'yellow');
+    sections.push({ layer: 1, kind: 'diff', title: `=== git diff ${base}...HEAD ===`, body: `[base "${base}" not found]\n` });
+    return sections;
+  }
+
+  const diff = gitOutput(['diff', '--no-color', `${base}...HEAD`]);
+  sections.push({ layer: 1, kind: 'diff', title: `=== git diff ${base}...HEAD ===`, body: diff });
+
+  // Changed files content
+  const changed = listChangedFiles(base).filter(f => fs.existsSync(f) && fs.statSync(f).isFile());
+  for (const f of changed) {
+    if (isBinaryFile(f)) continue;
+    sections.push({ layer: 1, kind: 'file', path: f, title: `=== ${f} ===`, body: safeRead(f) });
+  }
+
+  // Layer 2 — Expansion (import graph; built-in alternative to Serena)
+  if (expandHops > 0) {
+    const graph = buildImportGraph(listRepoFiles());
+    for (const r of expandDependencies(changed, expandHops, graph)) {
+      if (isBinaryFile(r.file)) continue;
+      const hopNote = r.hop > 1 ? `, ${r.hop} hops` : '';
+      sections.push({
+        layer: 2,
+        kind: 'related',
+        path: r.file,
+        hop: r.hop,
+        title: `=== ${r.file} (Layer 2: ${r.relation} ${r.via}${hopNote}) ===`,
+        body: safeRead(r.file),
+      });
+    }
+  }
+
+  return sections;
+}
+
+const JS_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.mts', '.cts'];
+const JS_TO_TS_EXTENSIONS = { '.js': ['.ts', '.tsx'], '.jsx': ['.tsx'], '.mjs': ['.mts'], '.cjs': ['.cts'] };
+
+function parseJsImports(content) {
+  const specs = [];
+  const patterns = [
+    /\b(?:import|export)\s[^'"`;]*?\bfrom\s*['"]([^'"]+)['"]/g,
+    /\bimport\s*['"]([^'"]+)['"]/g,
+    /\b(?:require|import)\s*\(\s*['"]([^'"]+)['"]\s*\)/g,
+  ];
+  for (const re of patterns) {
+    let m;
+    while ((m = re.exec(content))) specs.push(m[1]);
+  }
+  return specs;
+}
+
+function parsePythonImports(content) {
+  // Returns [{ module, names }]; module keeps leading dots for relative imports.
+  const imports = [];
+  const text = content.replace(/\(\s*([^)]*)\)/g, (_, inner) => inner.replace(/\s*\n\s*/g, ' '));
+  for (const line of text.split('\n')) {
+    let m = line.match(/^\s*from\s+(\.*[\w.]*)\s+import\s+(.+)$/);
+    if (m) {
+      const names = m[2].split('#')[0].split(',').map(n => n.trim().split(/\s+as\s+/)[0]).filter(n => /^\w+$/.test(n));
+      imports.push({ module: m[1], names });
+      continue;
+    }
+    m = line.match(/^\s*import\s+([\w.]+(?:\s+as\s+\w+)?(?:\s*,\s*[\w.]+(?:\s+as\s+\w+)?)*)/);
+    if (m) {
+      for (const part of m[1].split(',')) imports.push({ module: part.trim().split(/\s+as\s+/)[0], names: [] });
+    }
+  }
+  return imports;
+}
+
+function resolveJsImport(fromFile, spec, fileSet) {
+  if (!spec.startsWith('.')) return null; // packages are out of scope
+  const base = path.posix.normalize(path.posix.join(path.posix.dirname(fromFile), spec));
+  const candidates = [base];
+  const ext = path.posix.extname(base);
+  if (JS_TO_TS_EXTENSIONS[ext]) {
+    for (const alt of JS_TO_TS_EXTENSIONS[ext]) candidates.push(base.slice(0, -ext.length) + alt);
+  }
+  for (const e of JS_EXTENSIONS) candidates.push(base + e);
+  for (const e of JS_EXTENSIONS) candidates.push(`${base}/index${e}`);
+  return candidates.find(c => fileSet.has(c)) || null;
+}
+
+function buildPythonModuleIndex(pyFiles, fileSet) {
+  // Key: module path relative to a source root ("pkg/mod.py"). A prefix directory is a source
+  // root only if it is not itself a package (no __init__.py), which mirrors sys.path semantics.
+  const index = new Map();
+  for (const f of pyFiles) {
+    const parts = f.split('/');
+    for (let i = 0; i < parts.length; i++) {
+      const root = parts.slice(0, i).join('/');
+      if (root && fileSet.has(`${root}/__init__.py`)) continue;
+      const key = parts.slice(i).join('/');
+      if (!index.has(key)) index.set(key, []);
+      index.get(key).push(f);
+    }
+  }
+  return index;
+}
+
+function resolvePythonImport(fromFile, imp, pyIndex, fileSet) {
+  const found = [];
+  const dots = imp.module.match(/^\.*/)[0].length;
+  const rest = imp.module.slice(dots).replace(/\./g, '/');
+
+  const lookup = key => {
+    const hits = [...(pyIndex.get(`${key}.py`) || []), ...(pyIndex.get(`${key}/__init__.py`) || [])];
+    return hits.sort((a, b) => a.length - b.length || a.localeCompare(b))[0] || null;
+  };
+  const direct = key => [`${key}.py`, `${key}/__init__.py`].find(c => fileSet.has(c)) || null;
+
+  let resolveKey;
+  let base;
+  if (dots > 0) {
+    let dir = path.posix.dirname(fromFile);
+    for (let i = 1; i < dots; i++) dir = path.posix.dirname(dir);
+    base = [dir === '.' ? '' : dir, rest].filter(Boolean).join('/');
+    resolveKey = direct;
+  } else {
+    base = rest;
+    resolveKey = lookup;
+  }
+
+  if (base) {
+    const mod = resolveKey(base);
+    if (mod) found.push(mod);
+  }
+  // "from pkg import sub" may name submodules
+  for (const name of imp.names) {
+    const sub = resolveKey(base ? `${base}/${name}` : name);
+    if (sub) found.push(sub);
+  }
+  return found;
+}
+
+function buildImportGraph(files) {
+  const fileSet = new Set(files);
+  const pyFiles = files.filter(f => f.endsWith('.py'));
+  const pyIndex = buildPythonModuleIndex(pyFiles, fileSet);
+  const deps = new Map();
+  const rdeps = new Map();
+  const link = (from, to) => {
+    if (!to || to === from) return;
+    if (!deps.has(from)) deps.set(from, new Set());
+    if (!rdeps.has(to)) rdeps.set(to, new Set());
+    deps.get(from).add(to);
+    rdeps.get(to).add(from);
+  };
+
+  for (const f of files) {
+    const ext = path.posix.extname(f);
+    if (JS_EXTENSIONS.includes(ext)) {
+      for (const spec of parseJsImports(safeRead(f))) link(f, resolveJsImport(f, spec, fileSet));
+    } else if (ext === '.py') {
+      for (const imp of parsePythonImports(safeRead(f))) {
+        for (const target of resolvePythonImport(f, imp, pyIndex, fileSet)) link(f, target);
+      }
+    }
+  }
+  return { deps, rdeps };
+}
+
+function expandDependencies(changed, hops, graph) {
+  // Walks dependencies and dependents separately (no sibling explosion); first discovery wins.
+  const changedSet = new Set(changed);
+  const reached = new Map();
+  const walk = (edges, relation) => {
+    const seen = new Set(changedSet);
+    let frontier = [...changed].sort();
+    for (let hop = 1; hop <= hops; hop++) {
+      const next = [];
+      for (const f of frontier) {
+        for (const n of [...(edges.get(f) || [])].sort()) {
+          if (seen.has(n)) continue;
+          seen.add(n);
+          const prev = reached.get(n);
+          if (!prev || prev.hop > hop) reached.set(n, { hop, relation, via: f });
+          next.push(n);
+        }
+      }
+      frontier = next;
+    }
+  };
+  walk(graph.deps, 'dependency of');
+  walk(graph.rdeps, 'dependent of');
+  return [...reached.entries()]
+    .map(([file, info]) => ({ file, ...info }))
+    .sort((a, b) => a.hop - b.hop || a.file.localeCompare(b.file));
+}
+
+function applyContextBudget(sections, maxTokens) {
+  // Onion priority: Layer 0 always, then diff hunks, then changed files by recency, then Layer 2.
+  const layer0 = sections.filter(s => s.layer === 0);
+  const diff = sections.find(s => s.kind === 'diff');
+  const files = sections.filter(s => s.kind === 'file');
+  const related = sections.filter(s => s.kind === 'related');
+  const sectionCost = s => estimateTokens(`${s.title}\n${s.body}\n`);
+  const omitted = [];
+
+  let used = layer0.reduce((n, s) => n + sectionCost(s), 0);
+  if (used > maxTokens) log(`  ⚠️  Layer 0 alone (~${used} tokens) exceeds the ${maxTokens}-token budget.`, 'yellow');
+
+  let fittedDiff = null;
+  if (diff) {
+    const titleCost = estimateTokens(`${diff.title}\n`);
+    const fitted = fitDiffToBudget(diff.body, Math.max(0, maxTokens - used - titleCost));
+    fittedDiff = { ...diff, body: fitted.text };
+    used += titleCost + fitted.used;
+    omitted.push(...fitted.dropped);
+  }
+
+  const keptFiles = new Set();
+  for (const f of sortByRecency(files, s => s.path)) {
+    const cost = sectionCost(f);
+    if (used + cost <= maxTokens) {
+      keptFiles.add(f);
+      used += cost;
+    } else {
+      omitted.push({ kind: 'file', label: f.path, tokens: cost });
+    }
+  }
+
+  // Layer 2 is already ordered by hop distance, nearest first
+  for (const r of related) {
+    const cost = sectionCost(r);
+    if (used + cost <= maxTokens) {
+      keptFiles.add(r);
+      used += cost;
+    } else {
+      omitted.push({ kind: 'layer2', label: r.path, tokens: cost });
+    }
+  }
+
+  const kept = sections
+    .map(s => (s === diff ? fittedDiff : s))
+    .filter(s => (s.kind !== 'file' && s.kind !== 'related') || keptFiles.has(s));
+  return { sections: kept, omitted, used };
+}
+
+function renderContextSections(sections, { omitted = [], maxTokens = null, used = 0, metadata = null } = {}) {
+  const lines = ['# AI Development System Context (Incremental / Onion Model)'];
+  if (metadata) lines.push(renderFreshnessTag(metadata));
+  lines.push('');
+  for (const s of sections) {
+    lines.push(s.title);
+    lines.push(s.body.replace(/\n$/, ''));
+    lines.push('');
+  }
+  if (omitted.length) {
+    lines.push(`=== OMITTED (token budget: ${maxTokens}, used: ~${used}) ===`);
+    lines.push('The following content was dropped to fit the token budget. It exists in the repository; ask for it explicitly if needed.');
+    for (const o of omitted) lines.push(`- [${o.kind}] ${o.label} (~${o.tokens} tokens)`);
+    lines.push('');
+  }
+  return lines.join('\n');
+}
+
+function runContextCommand(options) {
+  const base = typeof options.base === 'string' ? options.base : 'main';
+  const out = typeof options.out === 'string' ? options.out : '.mcp/context_incremental.txt';
+  const adrs = options.adrs !== undefined ? Number(options.adrs) : 5;
+  if (!Number.isInteger(adrs) || adrs < 0) {
+    log(`✗ --adrs must be a non-negative integer (got "${options.adrs}")`, 'red');
+    return 1;
+  }
+  // --expand = 1 hop, --expand=N = N hops
+  const expandHops = options.expand === undefined ? 0 : options.expand === true ? 1 : Number(options.expand);
+  if (!Number.isInteger(expandHops) || expandHops < 0) {
+    log(`✗ --expand must be a non-negative integer number of hops (got "${options.expand}")`, 'red');
+    return 1;
+  }
+  let maxTokens;
+  try {
+    maxTokens = parseMaxTokens(options['max-tokens'], loadRepomixConfig());
+  } catch (e) {
+    log(`✗ --max-tokens: ${e.message}`, 'red');
+    return 1;
+  }
+
+  if (options.package !== undefined) return runPackageContext(options, maxTokens);
+
+  let sections = buildIncrementalContext({ base, adrs, expandHops });
+  let budgetInfo = {};
+  if (maxTokens) {
+    const res = applyContextBudget(sections, maxTokens);
+    sections = res.sections;
+    budgetInfo = { omitted: res.omitted, maxTokens, used: res.used };
+  }
+
+  const metadata = collectFreshness();
+  const content = renderContextSections(sections, { ...budgetInfo, metadata });
+  ensureDir(path.dirname(out));
+  let redaction;
+  try {
+    redaction = redactArtifact(content, out, { strict: !!options.strict });
+  } catch (e) {
+    log(`✗ ${e.message}`, 'red');
+    return 1;
+  }
+  if (redaction.blocked) return 1;
+  fs.writeFileSync(out, redaction.content, 'utf8');
+  writeSnapshotMeta(out, metadata);
+  log(`✅ Wrote incremental context: ${out} (~${estimateTokens(content)} tokens)`, 'green');
+  if (budgetInfo.omitted && budgetInfo.omitted.length) {
+    log(`   ${budgetInfo.omitted.length} item(s) omitted to fit --max-tokens ${maxTokens}; see the OMITTED manifest.`, 'yellow');
+  }
+  return 0;
+}
+
+function runPackageContext(options, maxTokens) {
+  // Snapshot scoped to one workspace package + its internal dependencies (+ Layer 0 docs)
+  const ws = detectWorkspaces();
+  const wanted = String(options.package).replace(/\/$/, '');
+  const pkg = ws.packages.find(p => p.name === wanted || p.dir === wanted);
+  if (!pkg) {
+    log(`✗ Unknown workspace package "${wanted}".`, 'red');
+    if (ws.packages.length) log(`   Available: ${ws.packages.map(p => p.name).join(', ')}`, 'dim');
+    else log('   No workspaces found (package.json workspaces, pnpm-workspace.yaml, lerna.json, Cargo [workspace], go.work).', 'dim');
+    return 1;
+  }
+  const scope = workspaceClosure(pkg, ws.packages);
+  const config = loadRepomixConfig();
+  const scoped = { ...config, include: [...LAYER0_PATTERNS, ...ws.manifests, ...scope.map(p => `${p.dir}/**`)] };
+  const out = typeof options.out === 'string' ? options.out : `.mcp/packages/${pkg.name.replace(/[^A-Za-z0-9._-]/g, '_')}.xml`;
+
+  const metadata = collectFreshness();
+  const { content, files, omitted, tokens } = packSnapshot(scoped, { maxTokens, metadata });
+  ensureDir(path.dirname(out));
+  let redaction;
+  try {
+    redaction = redactArtifact(content, out, { strict: !!options.strict });
+  } catch (e) {
+    log(`✗ ${e.message}`, 'red');
+    return 1;
+  }
+  if (redaction.blocked) return 1;
+  fs.writeFileSync(`${out}.tmp-${process.pid}`, redaction.content, 'utf8');
+  fs.renameSync(`${out}.tmp-${process.pid}`, out);
+  writeSnapshotMeta(out, metadata);
+
+  const deps = scope.slice(1).map(p => p.name);
+  log(`✅ Wrote package context: ${out} (${pkg.name}${deps.length ? ` + ${deps.join(', ')}` : ''}; ${files.length} files, ~${tokens} tokens)`, 'green');
+  if (omitted.length) log(`   ${omitted.length} item(s) omitted to fit --max-tokens ${maxTokens}; see <omitted_content>.`, 'yellow');
+  return 0;
+}
+
+// Architecture draft: static facts (entry points, module graph, routes, schema, env vars) written
+// into docs/ARCHITECTURE.md as checkbox lists, each with the file it came from.
+const ARCHITECTURE_PATH = 'docs/ARCHITECTURE.md';
+const DRAFT_SOURCE_EXTENSIONS = new Set([...JS_EXTENSIONS, '.vue', '.svelte', '.py', '.go', '.rs', '.rb', '.php', '.java', '.kt', '.cs']);
+const DRAFT_MAX_FILE_BYTES = 256 * 1024;
+const DRAFT_TODO = '[TODO: Confirm the drafted facts below (tick each one), then delete this line]';
+
+function draftSourceFiles() {
+  // Source files only; bootstrap's own artifacts and docs are not evidence about the system
+  return listRepoFiles().filter(f => {
+    if (!DRAFT_SOURCE_EXTENSIONS.has(path.posix.extname(f))) return false;
+    if (/^(\.mcp|\.ai-dev|docs|scripts)\//.test(f) || f === SCRIPT_PATH || /(^|\/)(vendor|dist|build|target)\//.test(f)) return false;
+    try {
+      return fs.statSync(f).size <= DRAFT_MAX_FILE_BYTES;
+    } catch {
+      return false;
+    }
+  });
+}
+
+function lineOf(text, index) {
+  return text.slice(0, index).split('\n').length;
+}
+
+function draftEntryPoints() {
+  const facts = [];
+  const ws = detectWorkspaces();
+  for (const dir of ['.', ...ws.packages.map(p => p.dir)]) {
+    const source = path.posix.join(dir, 'package.json');
+    let pkg;
+    try {
+      pkg = JSON.parse(safeRead(source) || 'null');
+    } catch {
+      continue;
+    }
+    if (!pkg) continue;
+    const label = dir === '.' ? '' : `${pkg.name || dir}: `;
+    const bins = typeof pkg.bin === 'string' ? { [pkg.name || 'bin']: pkg.bin } : pkg.bin || {};
+    for (const [name, file] of Object.entries(bins)) facts.push({ text: `${label}CLI \`${name}\` → ${path.posix.join(dir, file)}`, source });
+    if (pkg.main) facts.push({ text: `${label}main module → ${path.posix.join(dir, pkg.main)}`, source });
+    for (const name of ['start', 'dev', 'serve', 'build', 'test', 'worker']) {
+      if (pkg.scripts && pkg.scripts[name]) facts.push({ text: `${label}\`npm run ${name}\` → \`${pkg.scripts[name]}\``, source });
+    }
+  }
+  const pyproject = safeRead('pyproject.toml');
+  for (const m of tomlSection(pyproject, 'project.scripts').matchAll(/^\s*([\w.-]+)\s*=\s*"([^"]+)"/gm)) {
+    facts.push({ text: `CLI \`${m[1]}\` → ${m[2]}`, source: 'pyproject.toml' });
+  }
+  const files = listRepoFiles();
+  const conventional = [
+    [/^manage\.py$/, 'Django management entry point'],
+    [/^(main|app|wsgi|asgi)\.py$/, 'Python application entry point'],
+    [/(^|\/)__main__\.py$/, 'Python package entry point (`python -m`)'],
+    [/^(cmd\/[^/]+\/)?main\.go$/, 'Go binary'],
+    [/(^|\/)src\/main\.rs$/, 'Rust binary'],
+    [/(^|\/)src\/bin\/[^/]+\.rs$/, 'Rust binary'],
+    [/^config\.ru$/, 'Rack application'],
+    [/^public\/index\.php$/, 'PHP front controller'],
+    [/(^|\/)Program\.cs$/, '.NET entry point'],
+  ];
+  for (const f of files) {
+    const hit = conventional.find(([re]) => re.test(f));
+    if (hit) facts.push({ text: `${hit[1]} → ${f}`, source: f });
+  }
+  for (const f of ['Dockerfile', 'Procfile'].filter(x => fs.existsSync(x))) {
+    const text = safeRead(f);
+    for (const m of text.matchAll(f === 'Dockerfile' ? /^(CMD|ENTRYPOINT)\s+(.+)$/gm : /^([\w-]+):\s*(.+)$/gm)) {
+      facts.push({ text: `${f === 'Dockerfile' ? m[1] : `process \`${m[1]}\``} → \`${m[2].trim()}\``, source: `${f}:${lineOf(text, m.index)}` });
+    }
+  }
+  return facts;
+}
+
+function moduleOfFile(file, packages) {
+  const pkg = packages.find(p => file.startsWith(`${p.dir}/`));
+  if (pkg) return pkg.name;
+  const parts = file.split('/');
+  if (parts.length > 2 && MODULE_ROOTS.includes(parts[0])) return `${parts[0]}/${parts[1]}`;
+  return parts.length > 1 ? parts[0] : '(root)';
+}
+
+function draftModuleGraph(files) {
+  // Collapses the file-level import graph (JS/TS + Python) to top-level modules
+  const packages = detectWorkspaces().packages;
+  const { deps } = buildImportGraph(files);
+  const modules = new Map();
+  for (const f of files) {
+    const m = moduleOfFile(f, packages);
+    if (!modules.has(m)) modules.set(m, { files: 0, deps: new Map() });
+    modules.get(m).files++;
+  }
+  for (const [from, targets] of deps) {
+    const a = moduleOfFile(from, packages);
+    for (const to of targets) {
+      const b = moduleOfFile(to, packages);
+      if (a === b) continue;
+      const edge = modules.get(a).deps;
+      if (!edge.has(b)) edge.set(b, from);
+    }
+  }
+  return [...modules.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([name, m]) => ({
+    text: `${name} (${m.files} source file${m.files === 1 ? '' : 's'})${m.deps.size ? ` → imports ${[...m.deps.keys()].sort().join(', ')}` : ''}`,
+    source: m.deps.size ? [...m.deps.values()][0] : null,
+  }));
+}
+
+const ROUTE_FILE_PATTERNS = [
+  [/(^|\/)app\/(.+\/)?route\.(js|ts)$/, 'Next.js route handler'],
+  [/(^|\/)pages\/api\//, 'Next.js API route'],
+  [/(^|\/)\+server\.(js|ts)$/, 'SvelteKit endpoint'],
+  [/(^|\/)urls\.py$/, 'Django URLconf'],
+  [/^config\/routes\.rb$/, 'Rails routes'],
+  [/^routes\/[^/]+\.php$/, 'Laravel routes'],
+];
+const ROUTE_CALL_PATTERNS = [
+  // JS (Express/Fastify/Hono/Koa-router), Python decorators (Flask/FastAPI), Go (net/http, Gin, Echo, chi)
+  /\b(?:app|router|server|api|route|r|e|g)\.(get|post|put|patch|delete|all)\(\s*['"`]([^'"`]+)['"`]/gi,
+  /@(?:app|router|api|bp|blueprint)\.(get|post|put|patch|delete|route)\(\s*['"]([^'"]+)['"]/gi,
+  /\b(?:http\.|mux\.|r\.|e\.|g\.)?(HandleFunc|Handle|GET|POST|PUT|PATCH|DELETE)\(\s*"([^"]+)"/g,
+];
+const ROUTE_ANNOTATION_PATTERN = /@(Get|Post|Put|Patch|Delete|Request)Mapping\b|@Controller\(|\[Http(Get|Post|Put|Patch|Delete)\b|\bapp\.Map(Get|Post|Put|Patch|Delete)\(/g;
+
+function draftRoutes(files) {
+  const facts = [];
+  for (const f of files.concat(listRepoFiles().filter(x => /(^|\/)urls\.py$|^config\/routes\.rb$|^routes\/[^/]+\.php$/.test(x)))) {
+    if (facts.some(x => x.source === f)) continue;
+    const byPath = ROUTE_FILE_PATTERNS.find(([re]) => re.test(f));
+    const text = safeRead(f);
+    const found = [];
+    for (const re of ROUTE_CALL_PATTERNS) {
+      for (const m of text.matchAll(re)) if (m[2].startsWith('/')) found.push(`${m[1].toUpperCase().replace(/^HANDLE(FUNC)?$/, 'ANY')} ${m[2]}`);
+    }
+    const annotations = (text.match(ROUTE_ANNOTATION_PATTERN) || []).length;
+    if (!byPath && !found.length && !annotations) continue;
+    const kind = byPath ? byPath[1] : found.length ? `${found.length} route${found.length === 1 ? '' : 's'}` : `${annotations} route annotation${annotations === 1 ? '' : 's'}`;
+    const sample = [...new Set(found)].slice(0, 4);
+    facts.push({ text: `${f} — ${kind}${sample.length ? `: ${sample.join(', ')}${found.length > sample.length ? ', …' : ''}` : ''}`, source: f });
+  }
+  return facts;
+}
+
+function draftDataSchema(files) {
+  const facts = [];
+  const all = listRepoFiles();
+  for (const f of all.filter(x => x.endsWith('.prisma'))) {
+    const text = safeRead(f);
+    const provider = (text.match(/datasource\s+\w+\s*\{[^}]*provider\s*=\s*"([^"]+)"/) || [])[1];
+    const models = [...text.matchAll(/^model\s+(\w+)/gm)].map(m => m[1]);
+    facts.push({ text: `Prisma schema${provider ? ` (${provider})` : ''}: ${models.length ? `models ${models.join(', ')}` : 'no models'}`, source: f });
+  }
+  const migrationDirs = new Map();
+  for (const f of all) {
+    const m = f.match(/^(.*?(?:^|\/)(?:migrations|db\/migrate|alembic\/versions))\//);
+    if (m) migrationDirs.set(m[1], (migrationDirs.get(m[1]) || 0) + 1);
+  }
+  for (const [dir, count] of migrationDirs) {
+    const tool = /prisma\//.test(dir) ? 'Prisma' : /db\/migrate$/.test(dir) ? 'Rails' : /alembic/.test(dir) ? 'Alembic' : /(^|\/)\w+\/migrations$/.test(dir) && all.some(f => f.startsWith(`${path.posix.dirname(dir)}/models.py`)) ? 'Django' : 'SQL';
+    facts.push({ text: `${tool} migrations: ${dir}/ (${count} file${count === 1 ? '' : 's'})`, source: dir });
+  }
+  for (const f of all.filter(x => /(^|\/)(schema|structure)\.(sql|rb)$/.test(x))) facts.push({ text: `Schema dump: ${f}`, source: f });
+  const tables = [
+    [/\b(?:pg|mysql|sqlite)Table\(\s*['"]([^'"]+)['"]/g, 'Drizzle table'],
+    [/^class\s+(\w+)\((?:[\w.]*\.)?Model\):/gm, 'Django model'],
+    [/__tablename__\s*=\s*['"]([^'"]+)['"]/g, 'SQLAlchemy table'],
+    [/@Entity\((?:\s*['"]([^'"]+)['"])?/g, 'TypeORM/JPA entity'],
+  ];
+  for (const f of files) {
+    const text = safeRead(f);
+    for (const [re, kind] of tables) {
+      const names = [...text.matchAll(re)].map(m => m[1] || path.posix.basename(f, path.posix.extname(f)));
+      if (names.length) facts.push({ text: `${kind}${names.length === 1 ? '' : 's'}: ${[...new Set(names)].join(', ')}`, source: f });
+    }
+  }
+  return facts;
+}
+
+const ENV_VAR_PATTERNS = [
+  /process\.env\.([A-Z][A-Z0-9_]+)/g,
+  /process\.env\[\s*['"]([A-Z][A-Z0-9_]+)['"]\s*\]/g,
+  /import\.meta\.env\.([A-Z][A-Z0-9_]+)/g,
+  /os\.environ(?:\.get)?[[(]\s*['"]([A-Z][A-Z0-9_]+)['"]/g,
+  /os\.getenv\(\s*['"]([A-Z][A-Z0-9_]+)['"]/g,
+  /os\.(?:Getenv|LookupEnv)\(\s*"([A-Z][A-Z0-9_]+)"/g,
+  /env::var\(\s*"([A-Z][A-Z0-9_]+)"/g,
+  /ENV(?:\.fetch\(|\[)\s*['"]([A-Z][A-Z0-9_]+)['"]/g,
+  /\b(?:getenv|env)\(\s*['"]([A-Z][A-Z0-9_]+)['"]/g,
+  /GetEnvironmentVariable\(\s*"([A-Z][A-Z0-9_]+)"/g,
+  /System\.getenv\(\s*"([A-Z][A-Z0-9_]+)"/g,
+];
+
+function draftEnvVars(files) {
+  // First reference wins; .env.example-style files document vars the code may read indirectly
+  const seen = new Map();
+  for (const f of files) {
+    const text = safeRead(f);
+    for (const re of ENV_VAR_PATTERNS) {
+      for (const m of text.matchAll(re)) if (!seen.has(m[1])) seen.set(m[1], `${f}:${lineOf(text, m.index)}`);
+    }
+  }
+  for (const f of listRepoFiles().filter(x => /(^|\/)\.env\.(example|sample|template)$/.test(x))) {
+    const text = safeRead(f);
+    for (const m of text.matchAll(/^\s*(?:export\s+)?([A-Z][A-Z0-9_]+)\s*=/gm)) if (!seen.has(m[1])) seen.set(m[1], `${f}:${lineOf(text, m.index)}`);
+  }
+  return [...seen.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([name, source]) => ({ text: `\`${name}\``, source }));
+}
+
+function renderDraftFacts(title, facts, empty) {
+  const lines = [`**${title}**`];
+  if (!facts.length) lines.push(`- ${empty}`);
+  for (const f of facts) lines.push(`- [ ] ${f.text}${f.source ? ` (source: ${f.source})` : ''}`);
+  return lines.join('\n');
+}
+
+function buildArchitectureDraft() {
+  const files = draftSourceFiles();
+  const stack = detectStack();
+  const stackFacts = [];
+  for (const [category, label] of STACK_CATEGORIES) {
+    for (const e of stack[category]) stackFacts.push({ text: `${label}: ${e.name}${e.versions.length ? ` ${e.versions.join(' / ')}` : ''}`, source: e.sources.slice(0, 3).join(', ') });
+  }
+  return {
+    Modules: [
+      renderDraftFacts('Entry points', draftEntryPoints(), 'None detected'),
+      renderDraftFacts('Modules and internal imports (JS/TS + Python import graph)', draftModuleGraph(files), 'No source files found'),
+    ].join('\n\n'),
+    'Tech Stack': renderDraftFacts(`Detected stack (also in ${STACK_PATH})`, stackFacts, 'Nothing detected'),
+    'Data & Integrations': [
+      renderDraftFacts('Data stores and schema', draftDataSchema(files), 'No schema or migration files detected'),
+      renderDraftFacts('HTTP surface', draftRoutes(files), 'No route definitions detected'),
+      renderDraftFacts('Environment variables read by the code', draftEnvVars(files), 'None detected'),
+    ].join('\n\n'),
+  };
+}
+
+function architectureTemplateLines() {
+  // Every line createDocs() writes into the drafted sections (placeholders + detection lists as detected now)
+  const ws = detectWorkspaces();
+  const generated = [...Object.values(ARCHITECTURE_PLACEHOLDERS), detectModules(), detectTechStack(), ws.packages.length ? renderWorkspacePackages(ws) : ''];
+  return new Set(generated.join('\n').split('\n').map(l => l.trim()).filter(Boolean));
+}
+
+function isTemplateOnlySection(body, templateLines) {
+  // Only the exact template lines count; any other line is human text and is kept
+  return body
+    .split('\n')
+    .map(l => l.trim())
+    .filter(Boolean)
+    .every(l => templateLines.has(l));
+}
+
+function applyDraftSection(doc, heading, draft, templateLines = new Set()) {
+  const start = `<!-- ai-dev:draft ${heading} -->`;
+  const end = '<!-- /ai-dev:draft -->';
+  const lines = doc.split('\n');
+  let at = lines.findIndex(l => l.trim() === `## ${heading}`);
+  if (at === -1) {
+    // New section: before "Context Strategy" if present, else at the end
+    const before = lines.findIndex(l => /^## Context Strategy/.test(l));
+    const insert = ['## ' + heading, '', ''];
+    if (before === -1) lines.push('', ...insert);
+    else lines.splice(before, 0, ...insert);
+    at = lines.findIndex(l => l.trim() === `## ${heading}`);
+  }
+  let next = lines.findIndex((l, i) => i > at && /^## /.test(l));
+  if (next === -1) next = lines.length;
+  const body = lines.slice(at + 1, next).join('\n');
+
+  // Keep ticks on facts a human already confirmed
+  const ticked = new Set([...body.matchAll(/^- \[[xX]\] (.*)$/gm)].map(m => m[1]));
+  const block = `${start}\n${draft.replace(/^- \[ \] (.*)$/gm, (line, fact) => (ticked.has(fact) ? `- [x] ${fact}` : line))}\n${end}`;
+
+  let nextBody;
+  if (body.includes(start)) {
+    const a = body.indexOf(start);
+    const b = body.indexOf(end, a);
+    nextBody = body.slice(0, a) + block + (b === -1 ? '' : body.slice(b + end.length));
+  } else if (isTemplateOnlySection(body, templateLines)) {
+    nextBody = `${DRAFT_TODO}\n\n${block}\n`;
+  } else {
+    nextBody = `${body.replace(/\s+$/, '')}\n\n${block}\n`;
+  }
+  return [...lines.slice(0, at + 1), ...nextBody.replace(/\n*$/, '\n').split('\n'), ...lines.slice(next)].join('\n');
+}
+
+function runArchitectureDraft(options) {
+  if (!fs.existsSync(ARCHITECTURE_PATH)) {
+    log(`✗ ${ARCHITECTURE_PATH} not found. Run: node ${SCRIPT_PATH} init`, 'red');
+    return 1;
+  }
+  const draft = buildArchitectureDraft();
+  const current = safeRead(ARCHITECTURE_PATH);
+  let next = current;
+  const templateLines = architectureTemplateLines();
+  for (const [heading, body] of Object.entries(draft)) next = applyDraftSection(next, heading, body, templateLines);
+
+  const facts = (next.match(/^- \[[ xX]\] /gm) || []).length;
+  if (options['dry-run']) {
+    process.stdout.write(next);
+    return 0;
+  }
+  if (next === current) {
+    log(`✓ ${ARCHITECTURE_PATH} draft is up to date (${facts} facts)`, 'green');
+    return 0;
+  }
+  createBackup([ARCHITECTURE_PATH]);
+  fs.writeFileSync(ARCHITECTURE_PATH, next, 'utf8');
+  log(`✅ Drafted ${Object.keys(draft).join(', ')} in ${ARCHITECTURE_PATH} (${facts} facts; backup: ${lastBackups.get(ARCHITECTURE_PATH)})`, 'green');
+  log('   Every fact is a checkbox with its source: verify it, tick it, fix or delete what is wrong.', 'yellow');
+  log('   Re-running the draft refreshes the drafted blocks and keeps ticked facts ticked.', 'dim');
+  return 0;
+}
+
+function architectureStatus() {
+  if (!fs.existsSync(ARCHITECTURE_PATH)) return null;
+  const text = safeRead(ARCHITECTURE_PATH);
+  const sections = [];
+  for (const line of text.split('\n')) {
+    const h = line.match(/^## (.+?)\s*$/);
+    if (h) sections.push({ heading: h[1], todos: 0 });
+    else if (sections.length) sections[sections.length - 1].todos += (line.match(/\[TODO\b/g) || []).length;
+  }
+  const pending = sections.filter(s => s.todos).map(s => s.heading);
+  const done = sections.length - pending.length;
+  return {
+    degraded: text.includes(DEGRADED_BANNER),
+    pending,
+    done,
+    total: sections.length,
+    percent: sections.length ? Math.round((done / sections.length) * 100) : 100,
+  };
+}
+
+function runArchitectureFinalize() {
+  const status = architectureStatus();
+  if (!status) {
+    log(`✗ ${ARCHITECTURE_PATH} not found. Run: node ${SCRIPT_PATH} init`, 'red');
+    return 1;
+  }
+  if (!status.degraded) {
+    log(`✓ ${ARCHITECTURE_PATH} is not in degraded mode; nothing to finalize.`, 'green');
+    return 0;
+  }
+  if (status.pending.length) {
+    log(`✗ Not finalizing: ${status.percent}% complete (${status.done}/${status.total} sections).`, 'red');
+    log(`   [TODO] left in: ${status.pending.join(', ')}`, 'yellow');
+    log(`   Resolve them (prefill: node ${SCRIPT_PATH} architecture draft), then re-run this command.`, 'dim');
+    return 1;
+  }
+  const current = safeRead(ARCHITECTURE_PATH);
+  const next = current.replace(/^> ⚠️ \*\*DEGRADED MODE TEMPLATE\*\*[\s\S]*?\n---\n+/m, '');
+  if (next.includes(DEGRADED_BANNER)) {
+    log(`✗ The "${DEGRADED_BANNER}" banner was edited; remove it from ${ARCHITECTURE_PATH} by hand.`, 'red');
+    return 1;
+  }
+  createBackup([ARCHITECTURE_PATH]);
+  fs.writeFileSync(ARCHITECTURE_PATH, next, 'utf8');
+  log(`✅ Removed the ${DEGRADED_BANNER} banner from ${ARCHITECTURE_PATH}. Agents will now treat it as authoritative.`, 'green');
+  log('   Commit the change so the next snapshot carries it.', 'dim');
+  return 0;
+}
+
+function runArchitectureCommand(sub, options) {
+  if (sub === 'draft') return runArchitectureDraft(options);
+  if (sub === 'finalize') return runArchitectureFinalize();
+  log(`Unknown architecture subcommand: ${sub || '(none)'} (expected: draft | finalize)`, 'red');
+  return 1;
+}
+
+function generateInitialSnapshot() {
+  ensureDir('.mcp');
+  try {
+    log('🧠 Generating initial snapshot → .mcp/context.xml', 'cyan');
+    const res = generateSnapshot();
+    if (res.ok) {
+      log(`  ✓ ${res.outPath} generated (${res.engine} engine)`, 'green');
+      return;
+    }
+  } catch {
+    // reported below
+  }
+  log(`  ⚠️  Snapshot generation failed. You can run later: node ${SCRIPT_PATH} snapshot`, 'yellow');
+}
+
+function usage() {
+  const commands = [
+    `  node ${SCRIPT_PATH} init [--force] [--setup-mcp[=claude|cursor|cursor-user|project|all]]`,
+    `  node ${SCRIPT_PATH} check [--json] [--strict] [--fix [--dry-run]]`,
+    `  node ${SCRIPT_PATH} snapshot [--engine=native|repomix] [--max-tokens N] [--background] [--strict]`,
+    `  node ${SCRIPT_PATH} snapshot status|verify`,
+    `  node ${SCRIPT_PATH} context [--base main] [--out .mcp/context_incremental.txt] [--adrs 5] [--max-tokens N] [--expand[=hops]] [--strict]`,
+    `  node ${SCRIPT_PATH} context --package <name> [--out .mcp/packages/<name>.xml] [--max-tokens N]`,
+    `  node ${SCRIPT_PATH} policy [show|sync]`,
+    `  node ${SCRIPT_PATH} stack [show|sync]`,
+    `  node ${SCRIPT_PATH} architecture draft [--dry-run]`,
+    `  node ${SCRIPT_PATH} architecture finalize`,
+    `  node ${SCRIPT_PATH} adr new "<title>" | list | accept <id> | reject <id> | supersede <old> <new> | index [--force]`,
+    `  node ${SCRIPT_PATH} guard [--override "<reason>"]`,
+    `  node ${SCRIPT_PATH} rules [status|sync] [--force]`,
+    `  node ${SCRIPT_PATH} upgrade`,
+    `  node ${SCRIPT_PATH} uninstall`,
+    `  node ${SCRIPT_PATH} lint-commit <message-file> [--fix] [--no-prompt]`,
+    `  node ${SCRIPT_PATH} lint-commits [<range>] [--json] [--max-count N] [--exclude-remotes]`,
+  ];
+  const options = [
+    '  --force       Allow overwriting existing git hooks/scripts if present (backup is created)',
+    '  --setup-mcp   Merge MCP servers into client configs (backup + diff): claude (default), cursor (.cursor/mcp.json),',
+    '                cursor-user (~/.cursor/mcp.json), project (.mcp.json for Claude Code CLI / VS Code),',
+    '                all (claude + cursor + project); comma-separated lists allowed',
+    '  --engine      Snapshot backend: native (built-in, default) or repomix (npx -y repomix)',
+    '  --background  snapshot: regenerate in a detached, debounced worker (used by the post-commit hook)',
+    '  --base        context: base ref for the Layer 1 diff (default: main)',
+    '  --out         context: output file (default: .mcp/context_incremental.txt)',
+    '  --adrs        context: number of latest ADRs in Layer 0 (default: 5)',
+    '  --max-tokens  Token budget (default: aiDev.maxTokens in repomix.config.json; unlimited if unset)',
+    '  --expand      context: add Layer 2 (direct imports + dependents of changed files; --expand 2 or --expand=2 for two hops)',
+    '  --package     context: snapshot of one workspace package + its internal workspace dependencies',
+    '  --dry-run     architecture draft: print the drafted ARCHITECTURE.md instead of writing it;',
+    '                check --fix: list the fixes without applying them',
+    '  --strict      snapshot/context: fail instead of redacting when a potential secret is found;',
+    '                check: exit 1 when a required check fails',
+    '  --override    guard: let the commit through anyway; the reason is logged to .ai-dev/guard-overrides.log',
+    '  --fix         lint-commit: rewrite the message with the suggested subject (prompted when run in a TTY unless --no-prompt);',
+    '                check: repair each failing check (install the missing hook, re-add .gitignore block, chmod, snapshot, ...)',
+    '  --json        lint-commits: machine-readable per-commit report; check: id/status/category/hint per check',
+    '  --max-count   lint-commits: limit the number of commits (also the fallback when the range start is unknown)',
+    '  --exclude-remotes  lint-commits: skip commits already on a remote (used by the pre-push hook)',
+  ];
+  log('Usage:', 'cyan');
+  log(commands.join('\n') + '\n', 'cyan');
+  log('Options:', 'cyan');
+  log(options.join('\n') + '\n', 'cyan');
+}
+
+// Options that take a value ("--name value" or "--name=value"); everything else is a boolean flag.
+const VALUE_OPTIONS = new Set(['engine', 'base', 'out', 'adrs', 'max-tokens', 'max-count', 'package', 'override']);
+// Flags with an optional value: the next argument is only taken when it is a valid value ("--expand 2")
+const OPTIONAL_VALUE_OPTIONS = {
+  expand: v => /^\d+$/.test(v),
+  'setup-mcp': v => v.split(',').every(t => MCP_TARGETS[t] || MCP_TARGET_GROUPS[t]),
+};
+
+function parseArgs(argv) {
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (!a.startsWith('--')) {
+      positional.push(a);
+      continue;
+    }
+    const eq = a.indexOf('=');
+    if (eq !== -1) {
+      options[a.slice(2, eq)] = a.slice(eq + 1);
+    } else if (VALUE_OPTIONS.has(a.slice(2)) && i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+      options[a.slice(2)] = argv[++i];
+    } else if (OPTIONAL_VALUE_OPTIONS[a.slice(2)] && i + 1 < argv.length && OPTIONAL_VALUE_OPTIONS[a.slice(2)](argv[i + 1])) {
+      options[a.slice(2)] = argv[++i];
+    } else {
+      options[a.slice(2)] = true;
+    }
+  }
+  return { positional, options };
+}
+
+function runSnapshotCommand(options) {
+  let res;
+  try {
+    res = generateSnapshot({
+      engine: typeof options.engine === 'string' ? options.engine : undefined,
+      maxTokens: options['max-tokens'],
+      strict: !!options.strict,
+    });
+  } catch (e) {
+    log(`✗ ${e.message}`, 'red');
+    return 1;
+  }
+  if (!res.ok) {
+    log(`✗ Snapshot not written: ${res.outPath}`, 'red');
+    return 1;
+  }
+  const detail = res.engine === 'native' ? `${res.fileCount} files, ~${res.tokens} tokens, native engine` : 'repomix engine';
+  log(`✓ Snapshot written: ${res.outPath}${res.branchPath ? ` (→ ${res.branchPath})` : ''} (${detail})`, 'green');
+  if (res.omitted && res.omitted.length) {
+    log(`   ${res.omitted.length} item(s) omitted to fit the token budget; see <omitted_content>.`, 'yellow');
+  }
+  return 0;
+}
+
+// Generated artifacts that are always safe to delete (regenerated on demand)
+const GENERATED_ARTIFACTS = [STACK_PATH, '.mcp/context.xml', '.mcp/context.xml.meta.json', '.mcp/context.xml.redactions.json', '.mcp/context_incremental.txt', '.mcp/context_incremental.txt.meta.json', '.mcp/context_incremental.txt.redactions.json', '.mcp/post-commit.log', '.mcp/snapshot.pending'];
+// Directories init may have created; removed only when empty (deepest first)
+const INSTALL_DIRS = ['.cursor/rules', '.cursor', 'docs/adr', 'docs', '.mcp', 'scripts', '.serena', '.github/workflows', '.github', '.ai-dev'];
+
+function stripGitignoreSection(record) {
+  const content = safeRead('.gitignore');
+  if (!content.includes(record.section)) {
+    if (content.includes('.mcp/context.xml')) log('  ⚠️  .gitignore section was edited; remove the "AI Development System" lines by hand', 'yellow');
+    return;
+  }
+  const stripped = content.replace(record.section, '\n').trimEnd();
+  if (!stripped && record.createdFile) {
+    fs.unlinkSync('.gitignore');
+    log('  ✓ Removed .gitignore (created by init)', 'green');
+  } else {
+    fs.writeFileSync('.gitignore', stripped ? stripped + '\n' : '', 'utf8');
+    log('  ✓ Stripped generated section from .gitignore', 'green');
+  }
+}
+
+function runUninstallCommand() {
+  const manifest = loadInstallManifest();
+  if (!manifest) {
+    log(`✗ No install manifest (${MANIFEST_PATH}); nothing recorded to reverse.`, 'red');
+    log(`   It is written by: node ${SCRIPT_PATH} init`, 'dim');
+    return 1;
+  }
+  installManifest = null; // stop recording while we undo
+
+  log('\n🧹 Uninstalling AI development system', 'cyan');
+  const edited = [];
+  let removed = 0;
+  let restored = 0;
+
+  for (const [f, entry] of Object.entries(manifest.files).sort(([a], [b]) => a.localeCompare(b))) {
+    if (!fs.existsSync(f)) continue;
+    if (contentHash(fs.readFileSync(f)) !== entry.sha256) {
+      edited.push(f);
+      continue;
+    }
+    if (entry.action === 'created') {
+      fs.unlinkSync(f);
+      log(`  ✓ Removed ${f}`, 'green');
+      removed += 1;
+    } else if (entry.backup && fs.existsSync(entry.backup)) {
+      fs.copyFileSync(entry.backup, f);
+      if (safeRead(f).startsWith('#!')) chmodSafe(f, 0o755);
+      log(`  ✓ Restored ${f} (from ${entry.backup})`, 'green');
+      restored += 1;
+    } else {
+      log(`  ⚠️  ${f} existed before init but no backup was found; left as is`, 'yellow');
+    }
+  }
+
+  for (const f of GENERATED_ARTIFACTS) {
+    if (!fs.existsSync(f)) continue;
+    fs.unlinkSync(f);
+    log(`  ✓ Removed ${f}`, 'green');
+  }
+
+  // Newest section first: each was appended after the previous one
+  for (const record of [].concat(manifest.gitignore || []).reverse()) stripGitignoreSection(record);
+
+  fs.unlinkSync(MANIFEST_PATH);
+  fs.rmSync(TEMPLATE_BASE_DIR, { recursive: true, force: true });
+  fs.rmSync('.mcp/branches', { recursive: true, force: true });
+  fs.rmSync('.mcp/packages', { recursive: true, force: true });
+  for (const d of INSTALL_DIRS) {
+    try {
+      fs.rmdirSync(d); // fails (and is skipped) unless empty
+    } catch {
+      // not empty or missing
+    }
+  }
+
+  log(`\nResult: ${removed} removed, ${restored} restored, ${edited.length} kept (edited after init).`, edited.length ? 'yellow' : 'green');
+  for (const f of edited) log(`  • ${f}`, 'yellow');
+  if (edited.length) log('   These files changed since they were generated; review and delete them by hand if no longer needed.', 'dim');
+  log('   Backups (.ai-dev-backup-*) are kept; delete them when you no longer need them.', 'dim');
+  return 0;
+}
+
+function renderCurrentTemplates(projectType) {
+  // Runs the init generators in render-only mode; returns { path: content }
+  capturedWrites = new Map();
+  try {
+    createPolicyFile();
+    createRedactConfig();
+    createGuardConfig();
+    createDocs(projectType);
+    createCursorRules();
+    createRepomixConfig();
+    createMcpSnippets();
+    createGitHooks();
+    createScripts();
+    createGitHubAction();
+    return Object.fromEntries(capturedWrites);
+  } finally {
+    capturedWrites = null;
+  }
+}
+
+// Merge conflicts go inline only where markers cannot break anything
+function acceptsConflictMarkers(filePath) {
+  return /\.(md|mdc|txt)$/.test(filePath) || filePath === '.cursorrules';
+}
+
+function upgradeFile(f, next, entry) {
+  const current = fs.existsSync(f) ? fs.readFileSync(f, 'utf8') : null;
+  if (current === null) {
+    if (entry) return { state: 'left alone', note: 'deleted locally' };
+    writeFileSafe(f, next, { overwrite: false });
+    if (next.startsWith('#!')) chmodSafe(f, 0o755);
+    return { state: 'created' };
+  }
+  if (current === next) {
+    if (entry && entry.sha256 !== contentHash(next)) recordInstall(f, next, { existed: true });
+    return { state: 'up to date' };
+  }
+  const basePath = templateBasePath(f);
+  const base = entry && basePath && fs.existsSync(basePath) ? fs.readFileSync(basePath, 'utf8') : null;
+  if (base === null) return { state: 'left alone', note: 'no recorded template to merge from' };
+  if (base === next) return { state: 'left alone', note: 'template unchanged, local edits kept' };
+
+  const fromVersion = entry.template || 'unknown';
+  let merged;
+  let conflicts = [];
+  if (current === base) {
+    merged = next;
+  } else {
+    const merge = mergeThreeWay(base.split('\n'), current.split('\n'), next.split('\n'));
+    conflicts = merge.conflicts;
+    merged = renderMerge(merge, fromVersion).join('\n');
+    if (!conflicts.length && f.endsWith('.json')) {
+      try {
+        JSON.parse(merged);
+      } catch {
+        // Clean line merge but broken JSON: hand the whole new template to the user
+        conflicts = [{ line: 1, ours: current.split('\n'), base: base.split('\n'), theirs: next.split('\n') }];
+      }
+    }
+  }
+
+  if (conflicts.length && !acceptsConflictMarkers(f)) {
+    // Leave the file as is; keep the old base so the next upgrade retries the merge
+    const rej = conflicts.map(c => [`@@ conflict near line ${c.line} @@`, ...renderConflict(c, fromVersion)].join('\n')).join('\n\n');
+    fs.writeFileSync(`${f}.rej`, rej + '\n', 'utf8');
+    return { state: 'conflicted', note: `see ${f}.rej` };
+  }
+  fs.writeFileSync(f, merged, 'utf8');
+  // Hash/base = new template, so uninstall treats the merged file as user-edited
+  recordInstall(f, next, { existed: true });
+  if (conflicts.length) return { state: 'conflicted', note: `${conflicts.length} conflict(s) marked inline` };
+  const versionNote = fromVersion === BOOTSTRAP_VERSION ? `template ${BOOTSTRAP_VERSION} updated` : `template ${fromVersion} → ${BOOTSTRAP_VERSION}`;
+  return { state: 'updated', note: current === base ? versionNote : 'merged with local edits' };
+}
+
+function runUpgradeCommand() {
+  if (!installManifest) {
+    log(`✗ No install manifest (${MANIFEST_PATH}). Run: node ${SCRIPT_PATH} init`, 'red');
+    return 1;
+  }
+  log(`\n⬆️  Upgrading generated files to template ${BOOTSTRAP_VERSION}`, 'cyan');
+  const projectType = installManifest.projectType || (safeRead('docs/ARCHITECTURE.md').includes(DEGRADED_BANNER) ? 'existing' : 'new');
+  const templates = renderCurrentTemplates(projectType);
+  // Rule outputs are derived from .ai-dev/rules.md; they are regenerated by rules sync below
+  const derived = new Set(Object.keys(renderRuleOutputs([])).concat(listGeneratedRuleFiles()));
+  const candidates = Object.entries(templates).filter(([f]) => !derived.has(f) && !f.startsWith(`${CURSOR_RULES_DIR}/`));
+  createBackup(candidates.filter(([f, next]) => fs.existsSync(f) && safeRead(f) !== next).map(([f]) => f));
+  const results = {};
+  for (const [f, next] of candidates) {
+    const res = upgradeFile(f, next, installManifest.files[f]);
+    (results[res.state] = results[res.state] || []).push({ f, note: res.note });
+  }
+  syncRules();
+
+  const colors = { updated: 'green', created: 'green', 'up to date': 'dim', 'left alone': 'yellow', conflicted: 'red' };
+  log('\nSummary:', 'cyan');
+  for (const state of ['updated', 'created', 'left alone', 'conflicted', 'up to date']) {
+    const items = results[state] || [];
+    log(`  ${state}: ${items.length}`, items.length ? colors[state] : 'dim');
+    if (state === 'up to date') continue;
+    for (const { f, note } of items) log(`    • ${f}${note ? ` (${note})` : ''}`, colors[state]);
+  }
+  if (results.conflicted) {
+    log(`Resolve the conflicts (markers or .rej files), then run: node ${SCRIPT_PATH} check`, 'cyan');
+    return 1;
+  }
+  return 0;
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const { positional, options } = parseArgs(args);
+  const cmd = positional[0] || (options.help ? 'help' : 'init');
+  const force = !!options.force;
+  installManifest = cmd === 'init' ? loadInstallManifest() || { version: 1, files: {}, gitignore: null } : loadInstallManifest();
+  let mcpTargets;
+  try {
+    mcpTargets = parseMcpTargets(options['setup-mcp']);
+  } catch (e) {
+    log(`✗ ${e.message}`, 'red');
+    process.exit(1);
+  }
+
+  if (cmd === '--help' || cmd === '-h' || cmd === 'help') {
+    usage();
+    process.exit(0);
+  }
+
+  if (cmd === 'check') {
+    process.exit(healthCheck({ json: !!options.json, strict: !!options.strict, fix: !!options.fix, dryRun: !!options['dry-run'] }));
+  }
+
+  if (cmd === 'snapshot') {
+    if (positional[1] === 'status') process.exit(runSnapshotStatusCommand());
+    if (positional[1] === 'verify') process.exit(runSnapshotVerifyCommand());
+    if (options.worker) process.exit(runSnapshotWorker(options));
+    if (options.background) process.exit(queueBackgroundSnapshot(options));
+    process.exit(runSnapshotCommand(options));
+  }
+
+  if (cmd === 'context') {
+    if (positional.length > 1) {
+      log(`✗ Unexpected argument "${positional[1]}" (context takes options only; e.g. --expand=2, --base main)`, 'red');
+      process.exit(1);
+    }
+    process.exit(runContextCommand(options));
+  }
+
+  if (cmd === 'lint-commit') {
+    process.exit(runLintCommitCommand(positional[1], options));
+  }
+
+  if (cmd === 'lint-commits') {
+    process.exit(runLintCommitsCommand(positional[1], options));
+  }
+
+  if (cmd === 'upgrade') {
+    process.exit(runUpgradeCommand());
+  }
+
+  if (cmd === 'uninstall') {
+    process.exit(runUninstallCommand());
+  }
+
+  if (cmd === 'rules') {
+    process.exit(runRulesCommand(positional[1], options));
+  }
+
+  if (cmd === 'guard') {
+    process.exit(runGuardCommand(options));
+  }
+
+  if (cmd === 'adr') {
+    process.exit(runAdrCommand(positional, options));
+  }
+
+  if (cmd === 'architecture') {
+    process.exit(runArchitectureCommand(positional[1], options));
+  }
+
+  if (cmd === 'stack') {
+    process.exit(runStackCommand(positional[1]));
+  }
+
+  if (cmd === 'policy') {
+    process.exit(runPolicyCommand(positional[1]));
+  }
+
+  if (cmd !== 'init') {
+    usage();
+    process.exit(1);
+  }
+  if (positional.length > 1) {
+    log(`✗ Unexpected argument "${positional[1]}" (e.g. --setup-mcp=cursor or --setup-mcp cursor,project)`, 'red');
+    process.exit(1);
+  }
+
+  log('\n🧠 AI Development Bootstrap (Repomix + optional Serena)', 'cyan');
+  ensureGitRepo();
+  warnDirtyWorkingTree();
+
+  const projectType = detectProjectType();
+  if (!installManifest.projectType) installManifest.projectType = projectType;
+  if (projectType === 'existing') {
+    log('📦 Detected: Existing project (no architecture docs) → DEGRADED MODE templates', 'yellow');
+  } else {
+    log('✨ Detected: New project → creating full structure', 'green');
+  }
+
+  log('\n📁 Creating directories', 'cyan');
+  createDirectories();
 
   log('\n🙈 Ensuring .gitignore', 'cyan');
   ensureGitignore();
 
+  log('\n📜 Creating commit policy (.ai-dev/policy.json)', 'cyan');
+  createPolicyFile();
+
+  log(`\n🔒 Creating redaction and commit guard rules (${REDACT_CONFIG_PATH}, ${GUARD_CONFIG_PATH})`, 'cyan');
+  createRedactConfig();
+  createGuardConfig();
+
   log('\n📚 Creating docs (ARCHITECTURE / CONVENTIONS / ADR template)', 'cyan');
   createDocs(projectType);
 
-  log('\n🧩 Creating Cursor rules (.cursorrules)', 'cyan');
+  if (listAdrFiles(ADR_DIR).length) writeAdrIndex();
+
+  log(`\n🔎 Detecting tech stack (${STACK_PATH})`, 'cyan');
+  const stack = detectStack();
+  writeStackFile(stack);
+  for (const l of renderStackSummary(stack)) log(`  ${l}`, 'dim');
+
+  log('\n🧩 Creating AI rules (.ai-dev/rules.md → CLAUDE.md, .cursor/rules/*.mdc, .cursorrules)', 'cyan');
   createCursorRules();
 
   log('\n🧰 Creating Repomix config (repomix.config.json)', 'cyan');
@@ -1162,7 +5489,7 @@ function main() {
   log('\n🔌 Creating MCP config snippets (.mcp/*.example.json)', 'cyan');
   createMcpSnippets();
 
-  log('\n🔒 Creating Git hooks (commit policy + post-commit snapshot)', 'cyan');
+  log('\n🔒 Creating Git hooks (pre-commit guard + commit policy + post-commit snapshot)', 'cyan');
   createGitHooks({ overwrite: force });
 
   log('\n🧪 Creating helper scripts (commit + ADR + incremental context)', 'cyan');
@@ -1171,12 +5498,12 @@ function main() {
   log('\n🛡 Creating CI safety net (GitHub Actions)', 'cyan');
   createGitHubAction();
 
-  if (setupMcp) {
-    log('\n🔌 Setting up MCP in Claude Desktop config (--setup-mcp)', 'cyan');
-    setupMcpForClaudeDesktop({ overwriteExistingServers: true });
+  if (mcpTargets.length) {
+    log(`\n🔌 Setting up MCP (--setup-mcp=${mcpTargets.join(',')})`, 'cyan');
+    for (const t of mcpTargets) setupMcpConfig(t, { overwriteExistingServers: true });
   } else {
-    log('\nℹ️  MCP setup skipped. Use --setup-mcp to auto-merge into Claude Desktop config.', 'dim');
-    log('   Or manually copy from: .mcp/claude_desktop_config.example.json', 'dim');
+    log('\nℹ️  MCP setup skipped. Use --setup-mcp[=claude|cursor|cursor-user|project|all] to auto-merge into client configs.', 'dim');
+    log('   Or manually copy from: .mcp/claude_desktop_config.example.json / .mcp/cursor_mcp_config.example.json', 'dim');
   }
 
   log('\n⚙️  Generating initial snapshot', 'cyan');
@@ -1184,11 +5511,34 @@ function main() {
 
   log('\n✅ Bootstrap complete.', 'green');
   log('Next:', 'cyan');
-  log('  1) Open docs/ARCHITECTURE.md and fill TODOs if in degraded mode', 'cyan');
+  log(`  1) Open docs/ARCHITECTURE.md and fill TODOs if in degraded mode (prefill: node ${SCRIPT_PATH} architecture draft)`, 'cyan');
   log('  2) Use scripts/commit-checkpoint(.sh/.bat) and scripts/commit-main(.sh/.bat) for consistent commits', 'cyan');
   log('  3) Switch between tools: they can read repo state + commit history + .mcp/context.xml', 'cyan');
-  log('  4) Run health check anytime: node bootstrap.js check', 'cyan');
+  log(`  4) Run health check anytime: node ${SCRIPT_PATH} check`, 'cyan');
   log('', 'reset');
 }
 
-main();
+if (require.main === module) {
+  main();
+} else {
+  // Pure helpers, exported for node --test (test/*.test.js)
+  module.exports = {
+    globToRegExp,
+    matchesGlob,
+    parseArgs,
+    defaultPolicy,
+    policyRegexParts,
+    lintCommitMessage,
+    isPlainCommand,
+    hasCommand,
+    mergeThreeWay,
+    renderMerge,
+    DRAFT_TODO,
+    applyDraftSection,
+    loadRedactConfig,
+    redactSecrets,
+    renderAdr,
+    parseAdr,
+    setAdrField,
+  };
+}
@@ -0,0 +1,79 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { renderAdr, parseAdr, setAdrField } = require('../bootstrap.js');
+
+function withAdr(text, fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-dev-adr-'));
+  const file = path.join(dir, 'ADR-007-x.md');
+  fs.writeFileSync(file, text);
+  try {
+    return fn(file);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('renderAdr/parseAdr: titles with YAML syntax round-trip as one quoted scalar', () => {
+  const title = 'Use Postgres: primary store #1 "v2"';
+  const text = renderAdr({ id: '007', title, date: '2024-01-02', deciders: "O'Brien: lead" });
+  assert.match(text, /^title: "Use Postgres: primary store #1 \\"v2\\""$/m);
+  withAdr(text, file => {
+    const adr = parseAdr({ id: 7, file });
+    assert.equal(adr.title, title);
+    assert.equal(adr.status, 'Draft');
+    assert.equal(adr.date, '2024-01-02');
+    assert.equal(adr.label, 'ADR-007');
+    assert.equal(adr.frontMatter, true);
+  });
+});
+
+test('parseAdr: unquoted and single-quoted front-matter values are read as written', () => {
+  withAdr("---\ntitle: 'It''s fine'\nstatus: Accepted\n---\n\n# ADR-7: Other\n", file => {
+    const adr = parseAdr({ id: 7, file });
+    assert.equal(adr.title, "It's fine");
+    assert.equal(adr.status, 'Accepted');
+  });
+});
+
+test('setAdrField: replaces or appends front-matter keys without touching the body', () => {
+  withAdr(renderAdr({ id: '007', title: 'A: b', date: '2024-01-02', deciders: 'me' }), file => {
+    const adr = parseAdr({ id: 7, file });
+    setAdrField(adr, 'status', 'Accepted');
+    setAdrField(adr, 'superseded-by', 'ADR-009');
+    setAdrField(adr, 'reviewers', 'team');
+    const again = parseAdr({ id: 7, file });
+    assert.equal(again.status, 'Accepted');
+    assert.equal(again.supersededBy, 'ADR-009');
+    assert.equal(again.title, 'A: b');
+    assert.match(again.text, /^reviewers: team\n---\n\n# ADR-007: A: b$/m);
+  });
+});
+
+test('setAdrField: $-patterns in the title and values are written literally', () => {
+  const title = "Cost $& limits: $1 per $' call";
+  withAdr(renderAdr({ id: '007', title, date: '2024-01-02', deciders: 'me' }), file => {
+    const adr = parseAdr({ id: 7, file });
+    setAdrField(adr, 'status', 'Accepted');
+    setAdrField(adr, 'budget', '$& $$');
+    const again = parseAdr({ id: 7, file });
+    assert.equal(again.title, title);
+    assert.equal(again.status, 'Accepted');
+    assert.match(again.text, /^budget: \$& \$\$$/m);
+  });
+});
+
+test('setAdrField: legacy **Status:** ADRs are updated in place, missing labels go under Status', () => {
+  withAdr('# ADR-7: Legacy\n\n**Status:** Proposed\n**Date:** 2020-01-01\n\n## Context\n', file => {
+    const adr = parseAdr({ id: 7, file });
+    assert.equal(adr.frontMatter, false);
+    assert.equal(adr.title, 'Legacy');
+    setAdrField(adr, 'status', 'Superseded');
+    setAdrField(adr, 'superseded-by', 'ADR-008');
+    assert.equal(fs.readFileSync(file, 'utf8'), '# ADR-7: Legacy\n\n**Status:** Superseded\n**Superseded by:** ADR-008\n**Date:** 2020-01-01\n\n## Context\n');
+  });
+});
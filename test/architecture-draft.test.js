@@ -0,0 +1,49 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { applyDraftSection, DRAFT_TODO } = require('../bootstrap.js');
+
+const START = '<!-- ai-dev:draft Modules -->';
+const END = '<!-- /ai-dev:draft -->';
+const template = new Set(['[TODO: List your main modules/components]', 'Detected modules (verify):', '- src/']);
+const doc = body => `# ARCHITECTURE\n\n## Modules\n${body}\n## Context Strategy (Onion Model)\nLayer 0\n`;
+const section = (text, heading = 'Modules') => text.split(`## ${heading}\n`)[1].split('\n## ')[0];
+
+test('applyDraftSection: a template-only section is replaced by the TODO line and the draft', () => {
+  const out = applyDraftSection(doc('[TODO: List your main modules/components]\n\nDetected modules (verify):\n- src/\n'), 'Modules', '- [ ] src/api', template);
+  assert.equal(section(out), `${DRAFT_TODO}\n\n${START}\n- [ ] src/api\n${END}\n`);
+  assert.ok(out.includes('## Context Strategy'));
+});
+
+test('applyDraftSection: human text, including bullet lists, is kept and the draft goes below it', () => {
+  const human = '- Billing service owns invoices\n- Auth issues JWTs\n';
+  const out = applyDraftSection(doc(human), 'Modules', '- [ ] src/api', template);
+  assert.ok(section(out).startsWith(human));
+  assert.ok(!out.includes(DRAFT_TODO));
+  assert.ok(section(out).includes(`${START}\n- [ ] src/api\n${END}`));
+});
+
+test('applyDraftSection: detected lines that differ from the template count as human text', () => {
+  const out = applyDraftSection(doc('Detected modules (verify):\n- lib/\n'), 'Modules', '- [ ] src/api', template);
+  assert.ok(section(out).startsWith('Detected modules (verify):\n- lib/\n'));
+});
+
+test('applyDraftSection: re-running replaces only the block and keeps ticked facts', () => {
+  const first = applyDraftSection(doc('Intro by a human.\n'), 'Modules', '- [ ] src/api\n- [ ] src/db', template);
+  const ticked = first.replace('- [ ] src/api', '- [x] src/api');
+  const second = applyDraftSection(ticked, 'Modules', '- [ ] src/api\n- [ ] src/db\n- [ ] src/web', template);
+  const body = section(second);
+  assert.ok(body.startsWith('Intro by a human.'));
+  assert.equal(body.split(START).length, 2);
+  assert.ok(body.includes('- [x] src/api'));
+  assert.ok(body.includes('- [ ] src/db'));
+  assert.ok(body.includes('- [ ] src/web'));
+});
+
+test('applyDraftSection: a missing section is inserted before Context Strategy', () => {
+  const out = applyDraftSection(doc('Human text\n'), 'Data & Integrations', '- [ ] DATABASE_URL', template);
+  assert.ok(out.indexOf('## Data & Integrations') < out.indexOf('## Context Strategy'));
+  assert.ok(out.indexOf('## Modules') < out.indexOf('## Data & Integrations'));
+  assert.ok(section(out, 'Data & Integrations').includes('- [ ] DATABASE_URL'));
+});
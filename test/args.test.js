@@ -0,0 +1,30 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseArgs } = require('../bootstrap.js');
+
+test('parseArgs: value options take the next argument or the = form', () => {
+  assert.deepEqual(parseArgs(['context', '--base', 'develop', '--out=x.txt']), {
+    positional: ['context'],
+    options: { base: 'develop', out: 'x.txt' },
+  });
+});
+
+test('parseArgs: boolean flags do not swallow positionals', () => {
+  assert.deepEqual(parseArgs(['rules', '--force', 'sync']), { positional: ['rules', 'sync'], options: { force: true } });
+});
+
+test('parseArgs: --expand takes a numeric next argument', () => {
+  assert.deepEqual(parseArgs(['context', '--expand', '2']), { positional: ['context'], options: { expand: '2' } });
+  assert.deepEqual(parseArgs(['context', '--expand=3']), { positional: ['context'], options: { expand: '3' } });
+  assert.deepEqual(parseArgs(['context', '--expand', '--base', 'main']), { positional: ['context'], options: { expand: true, base: 'main' } });
+  assert.deepEqual(parseArgs(['context', '--expand', 'extra']), { positional: ['context', 'extra'], options: { expand: true } });
+});
+
+test('parseArgs: --setup-mcp takes a known target list as the next argument', () => {
+  assert.deepEqual(parseArgs(['init', '--setup-mcp', 'cursor']), { positional: ['init'], options: { 'setup-mcp': 'cursor' } });
+  assert.deepEqual(parseArgs(['--setup-mcp', 'cursor,project']), { positional: [], options: { 'setup-mcp': 'cursor,project' } });
+  assert.deepEqual(parseArgs(['--setup-mcp', 'all']), { positional: [], options: { 'setup-mcp': 'all' } });
+  assert.deepEqual(parseArgs(['--setup-mcp', 'init']), { positional: ['init'], options: { 'setup-mcp': true } });
+});
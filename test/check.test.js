@@ -0,0 +1,101 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { tempRepo } = require('./helpers/repo');
+
+function initRepo(t) {
+  const repo = tempRepo();
+  t.after(repo.cleanup);
+  assert.equal(repo.run(['init']).status, 0);
+  return repo;
+}
+
+const report = res => JSON.parse(res.stdout);
+const byId = (res, id) => report(res).checks.find(c => c.id === id);
+const mode = file => fs.statSync(file).mode & 0o777;
+
+test('check --json: stdout is one report with a status, category and hint per check', t => {
+  const repo = initRepo(t);
+  const res = repo.run(['check', '--json']);
+  assert.equal(res.status, 0, res.out);
+  const r = report(res);
+  assert.deepEqual(Object.keys(r), ['ok', 'strict', 'passed', 'total', 'percent', 'failed', 'warnings', 'checks']);
+  assert.equal(r.ok, true);
+  assert.equal(r.strict, false);
+  assert.equal(r.total, r.checks.length);
+  assert.equal(r.failed, 0);
+  for (const c of r.checks) {
+    assert.deepEqual(Object.keys(c), ['id', 'status', 'required', 'category', 'name', 'hint'], c.id);
+    assert.ok(['pass', 'fail', 'warn'].includes(c.status), c.id);
+    assert.equal(typeof c.required, 'boolean');
+    assert.equal(c.hint === null, c.status === 'pass', c.id);
+    if (c.status === 'warn') assert.equal(c.required, false, c.id);
+  }
+  for (const id of ['tool:git', 'hook:pre-commit', 'hooks:executable', 'gitignore', 'snapshot:generate']) {
+    assert.ok(r.checks.some(c => c.id === id), id);
+  }
+});
+
+test('check --strict: exits 1 only when a required check fails', t => {
+  const repo = initRepo(t);
+  fs.rmSync(repo.path('scripts/create-adr.sh'));
+  assert.equal(byId(repo.run(['check', '--json']), 'file:scripts/create-adr.sh').status, 'warn');
+  assert.equal(repo.run(['check', '--strict']).status, 0);
+
+  fs.rmSync(repo.path('docs/CONVENTIONS.md'));
+  assert.equal(repo.run(['check']).status, 0);
+  const res = repo.run(['check', '--strict', '--json']);
+  assert.equal(res.status, 1);
+  const r = report(res);
+  assert.equal(r.ok, false);
+  assert.equal(r.strict, true);
+  assert.equal(r.failed, 1);
+  assert.match(byId(res, 'file:docs/CONVENTIONS.md').hint, /check --fix|init/);
+});
+
+test('check --fix --dry-run: lists the fixes and changes nothing', t => {
+  const repo = initRepo(t);
+  fs.rmSync(repo.path('docs/CONVENTIONS.md'));
+  fs.chmodSync(repo.path('.git/hooks/pre-commit'), 0o644);
+  const before = repo.status();
+
+  const res = repo.run(['check', '--fix', '--dry-run', '--json']);
+  assert.equal(res.status, 0, res.out);
+  // Optional tools that are missing here show up as 'manual'
+  const fixes = report(res).fixes.filter(f => f.status !== 'manual');
+  assert.deepEqual(fixes.map(f => [f.id, f.status]), [['file:docs/CONVENTIONS.md', 'planned'], ['hooks:executable', 'planned']]);
+  assert.equal(fixes[1].action, 'chmod +x .git/hooks/pre-commit');
+  assert.ok(!repo.exists('docs/CONVENTIONS.md'));
+  assert.equal(mode(repo.path('.git/hooks/pre-commit')), 0o644);
+  assert.deepEqual(repo.status(), before);
+});
+
+test('check --fix: restores a missing file and makes our hooks executable, not a foreign one', t => {
+  const repo = tempRepo();
+  t.after(repo.cleanup);
+  // A hooks directory shared with other repos: ai-dev keeps its bodies in .ai-dev/hooks
+  const shared = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-dev-shared-hooks-'));
+  t.after(() => fs.rmSync(shared, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(shared, 'pre-commit'), '#!/bin/sh\n# disabled on purpose\nexit 1\n', { mode: 0o644 });
+  repo.git('config', 'core.hooksPath', shared);
+  assert.equal(repo.run(['init']).status, 0);
+  assert.ok(repo.exists('.ai-dev/hooks/pre-commit'));
+
+  fs.chmodSync(repo.path('.ai-dev/hooks/pre-commit'), 0o644);
+  fs.rmSync(repo.path('docs/CONVENTIONS.md'));
+  assert.equal(byId(repo.run(['check', '--json']), 'hooks:executable').status, 'fail');
+
+  const res = repo.run(['check', '--fix', '--json']);
+  assert.equal(res.status, 0, res.out);
+  const fixes = report(res).fixes.filter(f => f.status === 'applied').map(f => f.id);
+  assert.ok(fixes.includes('hooks:executable') && fixes.includes('file:docs/CONVENTIONS.md'), fixes.join(' '));
+  assert.equal(mode(repo.path('.ai-dev/hooks/pre-commit')) & 0o111, 0o111);
+  assert.equal(mode(path.join(shared, 'pre-commit')), 0o644);
+  assert.ok(repo.exists('docs/CONVENTIONS.md'));
+  assert.equal(byId(res, 'hooks:executable').status, 'pass');
+  assert.equal(byId(res, 'file:docs/CONVENTIONS.md').status, 'pass');
+});
@@ -0,0 +1,28 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { isPlainCommand, hasCommand } = require('../bootstrap.js');
+
+test('isPlainCommand: names and paths only', () => {
+  for (const ok of ['node', 'uvx', 'npx', '/usr/bin/env', './bin/server', 'C:\\Program Files\\nodejs\\node.exe']) {
+    assert.equal(isPlainCommand(ok), true, ok);
+  }
+  for (const bad of ['', 'true; touch x', 'a && b', 'x $(id)', 'x`id`', 'node server.js', 'a|b', 'a > b', null, 42]) {
+    assert.equal(isPlainCommand(bad), false, String(bad));
+  }
+});
+
+test('hasCommand: finds programs on PATH without running a shell', () => {
+  assert.equal(hasCommand('node'), true);
+  assert.equal(hasCommand(process.execPath), true);
+  assert.equal(hasCommand('definitely-not-a-real-command-xyz'), false);
+
+  const marker = path.join(os.tmpdir(), `ai-dev-hascommand-${process.pid}`);
+  assert.equal(hasCommand(`true; touch ${marker}`), false);
+  assert.equal(hasCommand(`$(touch ${marker})`), false);
+  assert.equal(fs.existsSync(marker), false);
+});
@@ -0,0 +1,44 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { tempRepo } = require('./helpers/repo');
+
+function featureRepo(t) {
+  const repo = tempRepo();
+  t.after(repo.cleanup);
+  repo.write('src/a.js', 'module.exports = 1;\n');
+  repo.git('add', '-A');
+  assert.equal(repo.commit('chore: base').status, 0);
+  repo.git('checkout', '-q', '-b', 'feature');
+  repo.write('src/a.js', 'module.exports = 2;\n');
+  repo.git('add', '-A');
+  assert.equal(repo.commit('feat: two').status, 0);
+  return repo;
+}
+
+test('context: the delta against --base lists the diff and the changed files', t => {
+  const repo = featureRepo(t);
+  const res = repo.run(['context', '--base', 'main', '--out', 'out.txt']);
+  assert.equal(res.status, 0, res.out);
+  const out = repo.read('out.txt');
+  assert.match(out, /=== git diff main\.\.\.HEAD ===/);
+  assert.match(out, /\+module\.exports = 2;/);
+  assert.match(out, /=== src\/a\.js ===/);
+});
+
+test('context: --base never reaches a shell or git as an option', t => {
+  const repo = featureRepo(t);
+  for (const base of ['$(touch pwned)', '`touch pwned`', 'main"; touch pwned; "', '--output=pwned']) {
+    const res = repo.run(['context', `--base=${base}`, '--out', 'out.txt']);
+    assert.equal(res.status, 0, res.out);
+    assert.match(res.out, /not found; Layer 1 \(delta\) will be empty/);
+    assert.ok(!repo.exists('pwned'), base);
+  }
+  // Valid ref names may contain shell syntax
+  repo.git('branch', 'x$(touch${IFS}pwned)', 'main');
+  const res = repo.run(['context', '--base=x$(touch${IFS}pwned)', '--out', 'out.txt']);
+  assert.equal(res.status, 0, res.out);
+  assert.match(repo.read('out.txt'), /\+module\.exports = 2;/);
+  assert.ok(!repo.exists('pwned'));
+});
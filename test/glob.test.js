@@ -0,0 +1,45 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { globToRegExp, matchesGlob } = require('../bootstrap.js');
+
+test('globToRegExp: single star stays within one path segment', () => {
+  const re = globToRegExp('src/*.js');
+  assert.ok(re.test('src/a.js'));
+  assert.ok(!re.test('src/lib/a.js'));
+  assert.ok(!re.test('src/a.ts'));
+});
+
+test('globToRegExp: **/ matches zero or more directories', () => {
+  const re = globToRegExp('**/*.md');
+  assert.ok(re.test('README.md'));
+  assert.ok(re.test('docs/adr/0001.md'));
+  assert.ok(!re.test('docs/a.mdx'));
+});
+
+test('globToRegExp: trailing ** matches everything below', () => {
+  const re = globToRegExp('.mcp/branches/**');
+  assert.ok(re.test('.mcp/branches/main/context.xml'));
+  assert.ok(!re.test('.mcp/context.xml'));
+});
+
+test('globToRegExp: ? matches one character and regex metacharacters are literal', () => {
+  assert.ok(globToRegExp('a?.txt').test('ab.txt'));
+  assert.ok(!globToRegExp('a?.txt').test('a/.txt'));
+  assert.ok(globToRegExp('file(1)+.txt').test('file(1)+.txt'));
+  assert.ok(!globToRegExp('a.txt').test('abtxt'));
+});
+
+test('matchesGlob: plain directory names match their contents', () => {
+  assert.ok(matchesGlob('docs/adr/0001.md', 'docs'));
+  assert.ok(matchesGlob('docs/adr/0001.md', 'docs/'));
+  assert.ok(matchesGlob('docs/adr/0001.md', './docs'));
+  assert.ok(!matchesGlob('docsite/index.md', 'docs'));
+});
+
+test('matchesGlob: globs are anchored to the whole path', () => {
+  assert.ok(matchesGlob('package-lock.json', 'package-lock.json'));
+  assert.ok(!matchesGlob('sub/package-lock.json', 'package-lock.json'));
+  assert.ok(matchesGlob('sub/package-lock.json', '**/package-lock.json'));
+});
@@ -0,0 +1,66 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const { tempRepo } = require('./helpers/repo');
+
+const AWS_KEY = 'AKIA' + 'Q3EGT7XKZP4RJ2MN';
+
+function initRepo(t) {
+  const repo = tempRepo();
+  t.after(repo.cleanup);
+  assert.equal(repo.run(['init']).status, 0);
+  repo.git('add', '-A');
+  assert.equal(repo.commit('chore: add ai-dev').status, 0);
+  return repo;
+}
+
+test('guard: blocks a staged snapshot, an oversized file and a secret on an added line', t => {
+  const repo = initRepo(t);
+  repo.write('.mcp/context.xml', '<snapshot/>\n');
+  repo.write('.ai-dev/guard.json', JSON.stringify({ maxFileSizeKb: 1 }) + '\n');
+  repo.write('assets/big.txt', 'x'.repeat(2048));
+  repo.write('src/config.js', `const a = 1;\nconst aws = "${AWS_KEY}";\n`);
+  repo.git('add', '-f', '.mcp/context.xml', '.ai-dev/guard.json', 'assets/big.txt', 'src/config.js');
+
+  const res = repo.run(['guard']);
+  assert.equal(res.status, 1, res.out);
+  assert.match(res.out, /\.mcp\/context\.xml {2}generated artifact/);
+  assert.match(res.out, /assets\/big\.txt {2}2 KB > 1 KB/);
+  assert.match(res.out, /src\/config\.js:2 {2}possible secret \(aws-access-key, 20 chars\)/);
+  assert.ok(!res.out.includes(AWS_KEY.slice(0, 4)));
+  assert.ok(!repo.exists('.ai-dev/guard-overrides.log'));
+});
+
+test('guard: an added "++ " line is content, not a file header, and names with spaces are exact', t => {
+  const repo = initRepo(t);
+  repo.write('docs/my notes.md', `++ incremented\naws = "${AWS_KEY}"\n`);
+  repo.git('add', '--', 'docs/my notes.md');
+
+  const res = repo.run(['guard']);
+  assert.equal(res.status, 1, res.out);
+  assert.match(res.out, /docs\/my notes\.md:2 {2}possible secret \(aws-access-key/);
+
+  repo.write('.ai-dev/guard.json', JSON.stringify({ allowPaths: ['docs/my notes.md'] }) + '\n');
+  assert.equal(repo.run(['guard']).status, 0);
+});
+
+test('guard: an override during git commit is logged, staged with the commit and recorded as a trailer', t => {
+  const repo = initRepo(t);
+  // Only the pre-commit guard and commit-msg matter here; post-commit would start the snapshot worker
+  for (const hook of ['post-commit', 'post-checkout']) fs.rmSync(repo.path(`.git/hooks/${hook}`), { force: true });
+  repo.write('src/config.js', `const aws = "${AWS_KEY}";\n`);
+  repo.git('add', 'src/config.js');
+
+  const blocked = repo.commit('feat: add config', { hooks: true });
+  assert.notEqual(blocked.status, 0);
+  assert.match(blocked.stdout + blocked.stderr, /possible secret/);
+
+  const res = repo.commit('feat: add config', { hooks: true, env: { AI_DEV_GUARD_OVERRIDE: 'test fixture key' } });
+  assert.equal(res.status, 0, res.stdout + res.stderr);
+  assert.match(repo.git('log', '-1', '--format=%B'), /^Guard-Override: test fixture key$/m);
+  assert.deepEqual(repo.git('show', '--name-only', '--format=', 'HEAD').trim().split('\n').sort(), ['.ai-dev/guard-overrides.log', 'src/config.js']);
+  assert.match(repo.read('.ai-dev/guard-overrides.log'), /override by Test .* on main: test fixture key\n {2}src\/config\.js:1 {2}secret:aws-access-key/);
+  assert.deepEqual(repo.status(), []);
+});
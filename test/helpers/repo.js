@@ -0,0 +1,68 @@
+'use strict';
+
+// Temporary git repositories for CLI tests: a copy of bootstrap.js is run with node inside a
+// fresh repo, isolated from the caller's git config (global hooksPath, identity, -c overrides).
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const cp = require('node:child_process');
+
+const SCRIPT = path.join(__dirname, '..', '..', 'bootstrap.js');
+const NO_HOOKS = path.join(os.tmpdir(), 'ai-dev-test-no-hooks');
+
+function isolatedEnv() {
+  const env = {
+    ...process.env,
+    GIT_CONFIG_NOSYSTEM: '1',
+    GIT_CONFIG_GLOBAL: os.devNull,
+    GIT_AUTHOR_NAME: 'Test',
+    GIT_AUTHOR_EMAIL: 'test@example.com',
+    GIT_COMMITTER_NAME: 'Test',
+    GIT_COMMITTER_EMAIL: 'test@example.com',
+  };
+  for (const key of Object.keys(env)) {
+    if (/^GIT_CONFIG_(COUNT|KEY_|VALUE_|PARAMETERS)/.test(key) || key.startsWith('AI_DEV_')) delete env[key];
+  }
+  return env;
+}
+
+function stripColors(s) {
+  return String(s || '').replace(/\x1b\[[0-9;]*m/g, '');
+}
+
+function tempRepo() {
+  const dir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'ai-dev-cli-')));
+  const env = isolatedEnv();
+  const git = (...args) => cp.execFileSync('git', args, { cwd: dir, env, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] });
+  git('init', '-q', '-b', 'main');
+  fs.copyFileSync(SCRIPT, path.join(dir, 'bootstrap.js'));
+
+  const repo = {
+    dir,
+    git,
+    path: rel => path.join(dir, rel),
+    exists: rel => fs.existsSync(path.join(dir, rel)),
+    read: rel => fs.readFileSync(path.join(dir, rel), 'utf8'),
+    write(rel, content) {
+      fs.mkdirSync(path.dirname(path.join(dir, rel)), { recursive: true });
+      fs.writeFileSync(path.join(dir, rel), content);
+    },
+    // Runs bootstrap.js; stdout/stderr without colors, out = both
+    run(args, { env: extra = {}, input = '' } = {}) {
+      const r = cp.spawnSync(process.execPath, ['bootstrap.js', ...args], { cwd: dir, env: { ...env, ...extra }, input, encoding: 'utf8', timeout: 120000 });
+      const stdout = stripColors(r.stdout);
+      const stderr = stripColors(r.stderr);
+      return { status: r.status, stdout, stderr, out: stdout + stderr };
+    },
+    // Commits with the repo's hooks only when asked: post-commit would start a detached worker
+    commit(message, { hooks = false, env: extra = {} } = {}) {
+      const args = hooks ? ['commit', '-q', '-m', message] : ['-c', `core.hooksPath=${NO_HOOKS}`, 'commit', '-q', '-m', message];
+      return cp.spawnSync('git', args, { cwd: dir, env: { ...env, ...extra }, encoding: 'utf8' });
+    },
+    status: () => git('status', '--porcelain', '--untracked-files=all').split('\n').filter(Boolean),
+    cleanup: () => fs.rmSync(dir, { recursive: true, force: true }),
+  };
+  return repo;
+}
+
+module.exports = { tempRepo, stripColors };
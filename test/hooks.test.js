@@ -0,0 +1,79 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const { tempRepo } = require('./helpers/repo');
+
+const AWS_KEY = 'AKIA' + 'Q3EGT7XKZP4RJ2MN';
+
+function repoWith(t, files) {
+  const repo = tempRepo();
+  t.after(repo.cleanup);
+  for (const [rel, content] of Object.entries(files)) repo.write(rel, content);
+  return repo;
+}
+
+test('init: an existing git hook keeps running first, behind a dispatcher', t => {
+  const local = '#!/bin/sh\necho ran >> local-hook.log\n';
+  const repo = repoWith(t, { '.git/hooks/pre-commit': local });
+  fs.chmodSync(repo.path('.git/hooks/pre-commit'), 0o755);
+  const res = repo.run(['init']);
+  assert.equal(res.status, 0, res.out);
+  assert.match(res.out, /Chaining existing \.git\/hooks\/pre-commit/);
+  assert.equal(repo.read('.git/hooks/pre-commit.local'), local);
+  assert.match(repo.read('.git/hooks/pre-commit'), /ai-dev-dispatcher/);
+  assert.match(repo.read('.git/hooks/pre-commit.ai-dev'), /guard/);
+  assert.equal(repo.run(['init']).out.includes('Chaining'), false);
+
+  // Only the pre-commit chain matters here; post-commit would start the snapshot worker
+  for (const hook of ['post-commit', 'post-checkout']) fs.rmSync(repo.path(`.git/hooks/${hook}`));
+  repo.write('.gitignore', `${repo.read('.gitignore')}local-hook.log\n`);
+  repo.git('add', '-A');
+  assert.equal(repo.commit('chore: add ai-dev', { hooks: true }).status, 0);
+  assert.equal(repo.read('local-hook.log'), 'ran\n');
+
+  repo.write('src/config.js', `const aws = "${AWS_KEY}";\n`);
+  repo.git('add', 'src/config.js');
+  const blocked = repo.commit('feat: add config', { hooks: true });
+  assert.notEqual(blocked.status, 0);
+  assert.match(blocked.stdout + blocked.stderr, /possible secret/);
+  assert.equal(repo.read('local-hook.log'), 'ran\nran\n');
+});
+
+test('init: husky hooks get one line that runs the ai-dev hook', t => {
+  const repo = repoWith(t, { '.husky/pre-commit': 'npm test\n', '.husky/_/h': '' });
+  assert.equal(repo.run(['init']).status, 0);
+  assert.equal(repo.read('.husky/pre-commit'), 'npm test\nsh .ai-dev/hooks/pre-commit "$@"\n');
+  assert.equal(repo.read('.husky/commit-msg'), 'sh .ai-dev/hooks/commit-msg "$@"\n');
+  assert.ok(!repo.exists('.git/hooks/pre-commit'));
+  assert.match(repo.read('.ai-dev/hooks/pre-commit'), /guard/);
+
+  assert.equal(repo.run(['init']).status, 0);
+  assert.equal(repo.read('.husky/pre-commit'), 'npm test\nsh .ai-dev/hooks/pre-commit "$@"\n');
+  const report = JSON.parse(repo.run(['check', '--json']).stdout);
+  assert.equal(report.checks.find(c => c.id === 'hooks:husky').status, 'pass');
+});
+
+test('init: lefthook configs extend the generated ai-dev snippet', t => {
+  const config = 'pre-commit:\n  commands:\n    lint:\n      run: npm run lint\n';
+  const repo = repoWith(t, { 'lefthook.yml': config });
+  const res = repo.run(['init']);
+  assert.equal(res.status, 0, res.out);
+  assert.equal(repo.read('lefthook.yml'), `${config}\nextends:\n  - .ai-dev/lefthook.yml\n`);
+  const snippet = repo.read('.ai-dev/lefthook.yml');
+  assert.match(snippet, /^ {6}run: sh \.ai-dev\/hooks\/pre-commit$/m);
+  assert.match(snippet, /^ {6}run: sh \.ai-dev\/hooks\/commit-msg \{1\}$/m);
+  assert.ok(repo.exists('.ai-dev/hooks/post-checkout'));
+  assert.ok(!repo.exists('.git/hooks/pre-commit'));
+});
+
+test('init: a lefthook config with its own "extends:" is left for the user to edit', t => {
+  const config = 'extends:\n  - shared/lefthook.yml\n';
+  const repo = repoWith(t, { 'lefthook.yml': config });
+  const res = repo.run(['init']);
+  assert.equal(res.status, 0, res.out);
+  assert.match(res.out, /already has "extends:"; add "- \.ai-dev\/lefthook\.yml"/);
+  assert.equal(repo.read('lefthook.yml'), config);
+  assert.ok(repo.exists('.ai-dev/lefthook.yml'));
+});
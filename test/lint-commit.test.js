@@ -0,0 +1,75 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const cp = require('node:child_process');
+const { defaultPolicy, policyRegexParts, lintCommitMessage } = require('../bootstrap.js');
+
+const policy = defaultPolicy();
+const lint = msg => lintCommitMessage(msg, policy);
+
+test('lintCommitMessage: accepts main, checkpoint, merge and revert commits', () => {
+  assert.equal(lint('feat(auth): add login').ok, true);
+  assert.equal(lint('fix: handle null token').ok, true);
+  assert.equal(lint('checkpoint(ui): wip').ok, true);
+  assert.equal(lint('Merge branch "main" into x').skipped, true);
+  assert.equal(lint('Revert "feat: x"').ok, true);
+});
+
+test('lintCommitMessage: explains problems and suggests a corrected subject', () => {
+  const upper = lint('Fix: thing');
+  assert.equal(upper.ok, false);
+  assert.match(upper.errors[0], /uppercase type `Fix`/);
+  assert.equal(upper.suggestion, 'fix: thing');
+
+  const alias = lint('feature(api): add endpoint');
+  assert.match(alias.errors[0], /did you mean `feat`/);
+  assert.equal(alias.suggestion, 'feat(api): add endpoint');
+
+  assert.deepEqual(lint('fix:thing').errors, ['missing space after colon']);
+  assert.deepEqual(lint('fix : thing').errors, ['unexpected space before colon']);
+  assert.ok(lint('fixed bug').errors.length);
+  assert.ok(lint('').errors.includes('empty commit message'));
+});
+
+test('lintCommitMessage: "wip" is suggested as the policy\'s own checkpoint type', () => {
+  assert.equal(lint('wip: half done').suggestion, 'checkpoint: half done');
+  const custom = { ...defaultPolicy(), checkpointType: 'save' };
+  const res = lintCommitMessage('wip: half done', custom);
+  assert.equal(res.suggestion, 'save: half done');
+  assert.equal(lintCommitMessage(res.suggestion, custom).ok, true);
+  assert.equal(lintCommitMessage('checkpoint: x', custom).suggestion, 'save: x');
+});
+
+test('lintCommitMessage: enforces length, scopes and required bodies from the policy', () => {
+  const strict = { ...policy, maxSubjectLength: 20, scopes: { ...policy.scopes, required: true, allowed: ['api'] }, requireBodyFor: ['feat'] };
+  const res = lintCommitMessage('feat(ui): a rather long subject line', strict);
+  assert.ok(res.errors.some(e => /characters \(max 20\)/.test(e)));
+  assert.ok(res.errors.some(e => /scope/.test(e)));
+  assert.ok(res.errors.some(e => /body is required/.test(e)));
+  assert.equal(lintCommitMessage('feat(api): x\n\nwhy', strict).ok, true);
+});
+
+test('lintCommitMessage: comment lines are ignored', () => {
+  assert.equal(lint('# Please enter the commit message\nfeat: add x\n# comment').ok, true);
+});
+
+test('lintCommitMessage and the shell fallback regex agree', () => {
+  const re = policyRegexParts(policy);
+  const grepOk = subject => {
+    try {
+      cp.execFileSync('grep', ['-Eq', re.main], { input: subject });
+      return true;
+    } catch {
+      try {
+        cp.execFileSync('grep', ['-Eq', re.checkpoint], { input: subject });
+        return true;
+      } catch {
+        return false;
+      }
+    }
+  };
+  for (const subject of ['feat: add x', 'feat:  two spaces', 'feat: ', 'fix(api): y', 'checkpoint: z', 'feat(): x', 'nope: x', 'feat:x']) {
+    assert.equal(lint(subject).ok, grepOk(subject), subject);
+  }
+});
@@ -0,0 +1,57 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { tempRepo } = require('./helpers/repo');
+
+function historyRepo(t, subjects) {
+  const repo = tempRepo();
+  t.after(repo.cleanup);
+  repo.write('a.txt', '0\n');
+  repo.git('add', '-A');
+  assert.equal(repo.commit('chore: base').status, 0);
+  repo.git('checkout', '-q', '-b', 'feature');
+  subjects.forEach((subject, i) => {
+    repo.write('a.txt', `${i + 1}\n`);
+    repo.git('add', '-A');
+    assert.equal(repo.commit(subject).status, 0);
+  });
+  return repo;
+}
+
+test('lint-commits --json: reports every commit in the range and exits 1 on a violation', t => {
+  const repo = historyRepo(t, ['feat(api): add endpoint', 'fixed stuff']);
+  const res = repo.run(['lint-commits', 'main..feature', '--json']);
+  assert.equal(res.status, 1);
+  const report = JSON.parse(res.stdout);
+  assert.equal(report.range, 'main..feature');
+  assert.equal(report.checked, 2);
+  assert.equal(report.failed, 1);
+  assert.deepEqual(report.commits.map(c => [c.subject, c.ok]), [['fixed stuff', false], ['feat(api): add endpoint', true]]);
+
+  assert.equal(repo.run(['lint-commits', 'main..feature~1']).status, 0);
+});
+
+test('lint-commits: an unknown range start falls back to the last commits of the head', t => {
+  const repo = historyRepo(t, ['feat: one']);
+  const res = repo.run(['lint-commits', 'nope..feature', '--json', '--max-count', '1']);
+  assert.equal(res.status, 0, res.out);
+  const report = JSON.parse(res.stdout);
+  assert.match(report.note, /"nope" not found/);
+  assert.equal(report.checked, 1);
+});
+
+test('lint-commits: the range never reaches a shell or git as an option', t => {
+  const repo = historyRepo(t, ['feat: one']);
+  for (const range of ['$(touch pwned)..feature', 'main..`touch pwned`', 'main.."; touch pwned; "', 'main..--output=pwned']) {
+    const res = repo.run(['lint-commits', range, '--json']);
+    assert.notEqual(res.status, 1, range);
+    assert.ok(!repo.exists('pwned'), range);
+  }
+  // Valid ref names may contain shell syntax
+  repo.git('branch', 'x$(touch${IFS}pwned)');
+  const res = repo.run(['lint-commits', 'main..x$(touch${IFS}pwned)', '--json']);
+  assert.equal(res.status, 0, res.out);
+  assert.equal(JSON.parse(res.stdout).checked, 1);
+  assert.ok(!repo.exists('pwned'));
+});
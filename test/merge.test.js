@@ -0,0 +1,40 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mergeThreeWay, renderMerge } = require('../bootstrap.js');
+
+const L = s => s.split('\n');
+const merge = (base, ours, theirs) => mergeThreeWay(L(base), L(ours), L(theirs));
+
+test('mergeThreeWay: one-sided changes are taken as they are', () => {
+  assert.deepEqual(merge('a\nb\nc', 'a\nB\nc', 'a\nb\nc'), { lines: ['a', 'B', 'c'], conflicts: [] });
+  assert.deepEqual(merge('a\nb\nc', 'a\nb\nc', 'a\nb\nc\nd'), { lines: ['a', 'b', 'c', 'd'], conflicts: [] });
+  assert.deepEqual(merge('a\nb\nc', 'a\nc', 'a\nb\nc'), { lines: ['a', 'c'], conflicts: [] });
+});
+
+test('mergeThreeWay: changes to different lines are combined', () => {
+  const res = merge('a\nb\nc\nd\ne', 'A\nb\nc\nd\ne', 'a\nb\nc\nd\nE');
+  assert.deepEqual(res, { lines: ['A', 'b', 'c', 'd', 'E'], conflicts: [] });
+});
+
+test('mergeThreeWay: identical changes on both sides are not a conflict', () => {
+  assert.deepEqual(merge('a\nb\nc', 'a\nX\nc', 'a\nX\nc'), { lines: ['a', 'X', 'c'], conflicts: [] });
+});
+
+test('mergeThreeWay: overlapping changes become a conflict with all three versions', () => {
+  const res = merge('a\nb\nc', 'a\nours\nc', 'a\ntheirs\nc');
+  assert.equal(res.conflicts.length, 1);
+  assert.deepEqual(res.conflicts[0], { line: 2, ours: ['ours'], base: ['b'], theirs: ['theirs'] });
+  assert.deepEqual(res.lines, ['a', null, 'c']);
+});
+
+test('renderMerge: conflicts are rendered with markers in place', () => {
+  const out = renderMerge(merge('a\nb\nc', 'a\nours\nc', 'a\ntheirs\nc'), '1.0.0');
+  assert.equal(out[0], 'a');
+  assert.equal(out[out.length - 1], 'c');
+  assert.ok(out.some(l => l.startsWith('<<<<<<<')));
+  assert.ok(out.includes('ours'));
+  assert.ok(out.includes('theirs'));
+  assert.ok(out.some(l => l.startsWith('>>>>>>>')));
+});
@@ -0,0 +1,63 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { loadRedactConfig, redactSecrets } = require('../bootstrap.js');
+
+function withConfig(json, fn) {
+  // loadRedactConfig reads .ai-dev/redact.json relative to the working directory
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-dev-redact-'));
+  const cwd = process.cwd();
+  fs.mkdirSync(path.join(dir, '.ai-dev'));
+  if (json !== undefined) fs.writeFileSync(path.join(dir, '.ai-dev', 'redact.json'), json);
+  process.chdir(dir);
+  try {
+    return fn();
+  } finally {
+    process.chdir(cwd);
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+const AWS_KEY = 'AKIA' + 'Q3EGT7XKZP4RJ2MN';
+
+test('redactSecrets: known formats and assignments are replaced, placeholders are not', () => {
+  const config = withConfig(undefined, loadRedactConfig);
+  const input = `aws = "${AWS_KEY}"\nconst password = "changeme";\nAPI_TOKEN=s3cr3tV4lu3Zq9\n`;
+  const { content, findings } = redactSecrets(input, config);
+  assert.ok(!content.includes(AWS_KEY));
+  assert.ok(!content.includes('s3cr3tV4lu3Zq9'));
+  assert.ok(content.includes('"changeme"'));
+  assert.equal(findings.length, 2);
+  assert.deepEqual(findings.map(f => [f.rule, f.length]), [['aws-access-key', AWS_KEY.length], ['env-secret', 's3cr3tV4lu3Zq9'.length]]);
+  assert.ok(!JSON.stringify(findings).includes(AWS_KEY.slice(0, 4)));
+});
+
+test('redactSecrets: findings name the file and line inside an artifact', () => {
+  const config = withConfig(undefined, loadRedactConfig);
+  const input = `<file path="src/a.js">\nline one\nconst key = "${AWS_KEY}";\n</file>\n`;
+  const [finding] = redactSecrets(input, config).findings;
+  assert.equal(finding.file, 'src/a.js');
+  assert.equal(finding.line, 2);
+});
+
+test('redactSecrets: allow and allowFiles skip values and whole files', () => {
+  const input = `<file path="test/fixtures/keys.js">\n"${AWS_KEY}"\n</file>\n<file path="src/b.js">\nAPI_TOKEN=s3cr3tV4lu3Zq9\n</file>\n`;
+  const config = withConfig(JSON.stringify({ allow: ['/^s3cr3t/'], allowFiles: ['test/fixtures/**'] }), loadRedactConfig);
+  assert.deepEqual(redactSecrets(input, config).findings, []);
+});
+
+test('loadRedactConfig: deny regexes keep their flags', () => {
+  const config = withConfig(JSON.stringify({ deny: ['/internal-[a-z]+/i', 'Literal.Value'], entropy: false }), loadRedactConfig);
+  assert.equal(config.deny[0].re.flags, 'gi');
+  const { content } = redactSecrets('host INTERNAL-Billing and Literal.Value but not LiteralXValue\n', config);
+  assert.equal(content, 'host [REDACTED:deny] and [REDACTED:deny] but not LiteralXValue\n');
+});
+
+test('loadRedactConfig: malformed JSON and bad patterns throw with the config path', () => {
+  assert.throws(() => withConfig('{ "deny": [', loadRedactConfig), /redact\.json is not valid JSON/);
+  assert.throws(() => withConfig(JSON.stringify({ deny: ['/(/'] }), loadRedactConfig), /redact\.json: Invalid regular expression/);
+});
@@ -0,0 +1,78 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const cp = require('node:child_process');
+const fs = require('node:fs');
+const { tempRepo } = require('./helpers/repo');
+
+const LOCK = '.mcp/snapshot.lock';
+const PENDING = '.mcp/snapshot.pending';
+const LOG = '.mcp/post-commit.log';
+
+function committedRepo(t) {
+  const repo = tempRepo();
+  t.after(repo.cleanup);
+  assert.equal(repo.run(['init']).status, 0);
+  repo.write('src/index.js', 'module.exports = 1;\n');
+  repo.git('add', '-A');
+  assert.equal(repo.commit('feat: first').status, 0);
+  return repo;
+}
+
+// A pid that belonged to a process which has already exited
+const deadPid = () => cp.spawnSync(process.execPath, ['-e', '']).pid;
+
+test('snapshot --worker: takes over a stale lock, regenerates and clears the pending marker', t => {
+  const repo = committedRepo(t);
+  repo.write(LOCK, JSON.stringify({ pid: deadPid(), startedAt: '2020-01-01T00:00:00.000Z' }));
+  repo.write(PENDING, 'abc\n');
+  assert.notEqual(repo.run(['snapshot', 'status']).status, 0);
+
+  const res = repo.run(['snapshot', '--worker']);
+  assert.equal(res.status, 0, res.out);
+  assert.match(res.out, /background snapshot \(pid \d+\)/);
+  assert.ok(!repo.exists(LOCK));
+  assert.ok(!repo.exists(PENDING));
+  const status = repo.run(['snapshot', 'status']);
+  assert.equal(status.status, 0, status.out);
+  assert.match(status.out, /current \(HEAD/);
+});
+
+test('snapshot --worker: an unreadable lock counts as stale once it is a few seconds old', t => {
+  const repo = committedRepo(t);
+  repo.write(LOCK, '');
+  assert.equal(repo.run(['snapshot', '--worker']).status, 0);
+  assert.equal(repo.read(LOCK), '', 'a fresh empty lock may be a worker that is starting');
+
+  const old = new Date(Date.now() - 60000);
+  fs.utimesSync(repo.path(LOCK), old, old);
+  assert.equal(repo.run(['snapshot', '--worker']).status, 0);
+  assert.ok(!repo.exists(LOCK));
+  assert.equal(repo.run(['snapshot', 'status']).status, 0);
+});
+
+test('snapshot --background: with a live worker only the pending marker is written', t => {
+  const repo = committedRepo(t);
+  // This test process stands in for the running worker
+  repo.write(LOCK, JSON.stringify({ pid: process.pid, startedAt: new Date().toISOString() }));
+  const logBefore = repo.exists(LOG) ? repo.read(LOG) : null;
+
+  const res = repo.run(['snapshot', '--background']);
+  assert.equal(res.status, 0, res.out);
+  assert.match(res.out, new RegExp(`already running \\(pid ${process.pid}\\); queued for [0-9a-f]{7}`));
+  assert.equal(repo.read(PENDING).trim(), repo.git('rev-parse', 'HEAD').trim());
+  assert.equal(repo.exists(LOG) ? repo.read(LOG) : null, logBefore, 'no worker was started');
+
+  const status = repo.run(['snapshot', 'status']);
+  assert.equal(status.status, 1);
+  assert.match(status.out, new RegExp(`in progress \\(pid ${process.pid}`));
+
+  // A second worker backs off and leaves the marker for the running one
+  assert.equal(repo.run(['snapshot', '--worker']).status, 0);
+  assert.ok(repo.exists(PENDING));
+  assert.equal(JSON.parse(repo.read(LOCK)).pid, process.pid);
+
+  fs.rmSync(repo.path(LOCK));
+  assert.match(repo.run(['snapshot', 'status']).out, /queued but no worker is running/);
+});
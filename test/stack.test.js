@@ -0,0 +1,85 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { tempRepo } = require('./helpers/repo');
+
+const json = value => JSON.stringify(value, null, 2) + '\n';
+
+function monorepo(t) {
+  const repo = tempRepo();
+  t.after(repo.cleanup);
+  repo.write('package.json', json({ private: true, workspaces: ['apps/*'], packageManager: 'pnpm@9.1.0', engines: { node: '>=20' }, devDependencies: { typescript: '^5.4.0' } }));
+  repo.write('apps/web/package.json', json({ name: 'web', dependencies: { next: '14.1.0', react: '^18.2.0' }, devDependencies: { vitest: '^1.6.0' } }));
+  repo.write('apps/api/package.json', json({ name: 'api', dependencies: { express: '^4.19.2' } }));
+  repo.write('pyproject.toml', '[project]\nname = "ml"\nrequires-python = ">=3.11"\ndependencies = ["fastapi>=0.110", "sqlalchemy==2.0.1"]\n\n[tool.pytest.ini_options]\naddopts = "-q"\n');
+  repo.write('Dockerfile', 'FROM node:20\n');
+  repo.write('src/ml/main.py', 'import fastapi\n');
+  const res = repo.run(['init']);
+  assert.equal(res.status, 0, res.out);
+  return repo;
+}
+
+const entry = (stack, category, name) => stack[category].find(e => e.name === name);
+
+test('init: every detector runs on the root and each workspace package, merged into stack.json', t => {
+  const repo = monorepo(t);
+  const stack = JSON.parse(repo.read('.ai-dev/stack.json'));
+  assert.equal(stack.version, 1);
+  assert.deepEqual(stack.language.map(e => e.name), ['TypeScript', 'Node.js', 'Python']);
+  assert.deepEqual(entry(stack, 'language', 'TypeScript').versions, ['5']);
+  assert.deepEqual(entry(stack, 'language', 'Node.js').versions, ['20']);
+  assert.deepEqual(entry(stack, 'language', 'Node.js').sources, ['package.json', 'apps/api/package.json', 'apps/web/package.json']);
+  assert.deepEqual(entry(stack, 'language', 'Python').versions, ['3.11']);
+  assert.deepEqual(entry(stack, 'framework', 'React'), { name: 'React', versions: ['18'], sources: ['apps/web/package.json'] });
+  assert.deepEqual(entry(stack, 'framework', 'Next.js').versions, ['14']);
+  assert.deepEqual(entry(stack, 'framework', 'Express').sources, ['apps/api/package.json']);
+  assert.deepEqual(entry(stack, 'framework', 'FastAPI').versions, ['0.110']);
+  assert.ok(entry(stack, 'test', 'Vitest') && entry(stack, 'test', 'pytest'));
+  assert.deepEqual(entry(stack, 'build', 'pnpm').versions, ['9']);
+  assert.deepEqual(entry(stack, 'data', 'SQLAlchemy').versions, ['2']);
+  assert.deepEqual(stack.infra.map(e => e.name), ['Docker'], 'the generated commit-policy workflow is not GitHub Actions usage');
+
+  const arch = repo.read('docs/ARCHITECTURE.md');
+  assert.match(arch, /^- Language: TypeScript 5, Node\.js 20, Python 3\.11$/m);
+  assert.match(arch, /^- \(machine-readable: \.ai-dev\/stack\.json\)$/m);
+});
+
+test('stack: reports drift until stack sync rewrites stack.json', t => {
+  const repo = monorepo(t);
+  const show = repo.run(['stack']);
+  assert.equal(show.status, 0, show.out);
+  assert.match(show.out, /Framework: FastAPI 0\.110, Express 4, Next\.js 14, React 18/);
+  assert.match(show.out, /stack\.json in sync/);
+
+  repo.write('apps/api/package.json', json({ name: 'api', dependencies: { express: '^4.19.2', mongoose: '^8.3.0' } }));
+  repo.write('.github/workflows/ci.yml', 'on: push\n');
+  const drift = repo.run(['stack', 'show']);
+  assert.equal(drift.status, 1);
+  assert.match(drift.out, /stack\.json out of sync/);
+  assert.match(drift.out, /Run: node bootstrap\.js stack sync/);
+
+  assert.equal(repo.run(['stack', 'sync']).status, 0);
+  assert.equal(repo.run(['stack']).status, 0);
+  const stack = JSON.parse(repo.read('.ai-dev/stack.json'));
+  assert.deepEqual(entry(stack, 'data', 'Mongoose').versions, ['8']);
+  assert.deepEqual(entry(stack, 'infra', 'GitHub Actions').sources, ['.github/workflows']);
+
+  const bad = repo.run(['stack', 'bogus']);
+  assert.equal(bad.status, 1);
+  assert.match(bad.out, /Unknown stack subcommand: bogus/);
+});
+
+test('init: an unparseable manifest is reported as a source, not a crash', t => {
+  const repo = tempRepo();
+  t.after(repo.cleanup);
+  // Not at the root: node itself refuses to start next to a broken package.json
+  repo.write('go.work', 'go 1.22\n\nuse ./svc/app\n');
+  repo.write('svc/app/package.json', '{ "name": ');
+  repo.write('svc/app/go.mod', 'module example.com/app\n\ngo 1.22.3\n\nrequire github.com/gin-gonic/gin v1.9.1\n');
+  assert.equal(repo.run(['init']).status, 0);
+  const stack = JSON.parse(repo.read('.ai-dev/stack.json'));
+  assert.deepEqual(entry(stack, 'language', 'JavaScript').sources, ['svc/app/package.json (unparseable)']);
+  assert.deepEqual(entry(stack, 'language', 'Go').versions, ['1.22']);
+  assert.ok(entry(stack, 'test', 'go test'));
+});
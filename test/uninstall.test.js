@@ -0,0 +1,64 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { tempRepo } = require('./helpers/repo');
+
+const OLD_GITIGNORE = 'node_modules/\n\n# AI Development System - Generated Artifacts\n.mcp/context.xml\n.mcp/context_incremental.txt\n.mcp/post-commit.log\n.ai-dev-backup-*/\n\n# Environment (secrets)\n.env\n';
+
+test('init: a .gitignore from an older version gets the missing entries, and check agrees', t => {
+  const repo = tempRepo();
+  t.after(repo.cleanup);
+  repo.write('.gitignore', OLD_GITIGNORE);
+
+  assert.equal(repo.run(['init']).status, 0);
+  const gitignore = repo.read('.gitignore');
+  assert.ok(gitignore.startsWith(OLD_GITIGNORE.trimEnd()));
+  for (const entry of ['.ai-dev/manifest.json', '.ai-dev/base/', '.mcp/branches/', '.mcp/snapshot.lock', '.mcp/*.tmp-*']) {
+    assert.ok(gitignore.split('\n').includes(entry), entry);
+  }
+  assert.equal(gitignore.split('\n').filter(l => l === '.mcp/context.xml').length, 1);
+  repo.git('add', '-A');
+  const staged = repo.git('diff', '--cached', '--name-only').split('\n');
+  const generated = f => f.startsWith('.ai-dev/base/') || f === '.ai-dev/manifest.json' || /^\.mcp\/(context|branches\/|.*\.meta\.json$)/.test(f);
+  assert.deepEqual(staged.filter(generated), []);
+
+  const report = JSON.parse(repo.run(['check', '--json']).stdout);
+  assert.equal(report.checks.find(c => c.id === 'gitignore').status, 'pass');
+});
+
+test('check --fix: adds the missing .gitignore entries', t => {
+  const repo = tempRepo();
+  t.after(repo.cleanup);
+  assert.equal(repo.run(['init']).status, 0);
+  repo.write('.gitignore', OLD_GITIGNORE);
+
+  const before = JSON.parse(repo.run(['check', '--json']).stdout).checks.find(c => c.id === 'gitignore');
+  assert.equal(before.status, 'fail');
+  assert.match(before.hint, /\.ai-dev\/manifest\.json/);
+  assert.equal(repo.run(['check', '--fix']).status, 0);
+  assert.equal(JSON.parse(repo.run(['check', '--json']).stdout).checks.find(c => c.id === 'gitignore').status, 'pass');
+});
+
+test('uninstall: removes what init created, restores what it modified, keeps edits and user files', t => {
+  const repo = tempRepo();
+  t.after(repo.cleanup);
+  repo.write('.gitignore', 'node_modules/\n');
+  repo.write('src/app.js', 'module.exports = 1;\n');
+
+  assert.equal(repo.run(['init']).status, 0);
+  assert.ok(repo.exists('.ai-dev/manifest.json'));
+  assert.ok(repo.exists('docs/ARCHITECTURE.md'));
+  repo.write('docs/CONVENTIONS.md', repo.read('docs/CONVENTIONS.md') + '\nOur own rule.\n');
+
+  const res = repo.run(['uninstall']);
+  assert.equal(res.status, 0, res.out);
+  assert.match(res.out, /kept \(edited after init\)/);
+  assert.equal(repo.read('.gitignore'), 'node_modules/\n');
+  assert.equal(repo.read('src/app.js'), 'module.exports = 1;\n');
+  assert.ok(repo.read('docs/CONVENTIONS.md').includes('Our own rule.'));
+  for (const f of ['.ai-dev/manifest.json', '.ai-dev/base', 'docs/ARCHITECTURE.md', 'CLAUDE.md', 'repomix.config.json']) {
+    assert.ok(!repo.exists(f), f);
+  }
+  assert.equal(repo.run(['uninstall']).status, 1);
+});
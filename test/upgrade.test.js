@@ -0,0 +1,90 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const { tempRepo } = require('./helpers/repo');
+
+// Pretends `file` was generated by an older template: records `oldTemplate` as the merge base
+function recordOldTemplate(repo, file, oldTemplate) {
+  const manifest = JSON.parse(repo.read('.ai-dev/manifest.json'));
+  manifest.files[file] = { ...manifest.files[file], template: '1.0.0', sha256: crypto.createHash('sha256').update(oldTemplate).digest('hex') };
+  repo.write('.ai-dev/manifest.json', JSON.stringify(manifest, null, 2) + '\n');
+  repo.write(`.ai-dev/base/${file}`, oldTemplate);
+}
+
+function initRepo(t) {
+  const repo = tempRepo();
+  t.after(repo.cleanup);
+  const res = repo.run(['init']);
+  assert.equal(res.status, 0, res.out);
+  return repo;
+}
+
+const backups = repo => fs.readdirSync(repo.dir).filter(n => n.startsWith('.ai-dev-backup-'));
+
+test('upgrade: an untouched file takes the new template, a locally edited one is merged', t => {
+  const repo = initRepo(t);
+  const script = 'scripts/generate-context.sh';
+  const next = repo.read(script);
+  const old = next.replace(/^# .*$/m, '# old template comment');
+  assert.notEqual(old, next);
+  recordOldTemplate(repo, script, old);
+  repo.write(script, `${old}# our own note\n`);
+
+  const conventions = 'docs/CONVENTIONS.md';
+  const nextConventions = repo.read(conventions);
+  const oldConventions = nextConventions.replace(/^## .*$/m, '## Old heading');
+  recordOldTemplate(repo, conventions, oldConventions);
+  repo.write(conventions, oldConventions);
+
+  const res = repo.run(['upgrade']);
+  assert.equal(res.status, 0, res.out);
+  assert.match(res.out, /merged with local edits/);
+  assert.match(res.out, /template 1\.0\.0 → /);
+  assert.equal(repo.read(script), `${next}# our own note\n`);
+  assert.equal(repo.read(conventions), nextConventions);
+  assert.equal(repo.run(['upgrade']).out.includes('conflicted: 0'), true);
+});
+
+test('upgrade: conflicts are marked inline in Markdown and go to a .rej file for JSON', t => {
+  const repo = initRepo(t);
+  const md = 'docs/CONVENTIONS.md';
+  const nextMd = repo.read(md);
+  const heading = nextMd.match(/^## .*$/m)[0];
+  recordOldTemplate(repo, md, nextMd.replace(heading, '## Old heading'));
+  repo.write(md, nextMd.replace(heading, '## Our heading'));
+
+  const json = 'repomix.config.json';
+  const nextJson = repo.read(json);
+  const line = nextJson.split('\n').find(l => /"filePath"/.test(l));
+  recordOldTemplate(repo, json, nextJson.replace(line, line.replace(/"[^"]*",?$/, m => m.replace(/[^",]+/, 'old.xml'))));
+  const ours = nextJson.replace(line, line.replace(/"[^"]*",?$/, m => m.replace(/[^",]+/, 'ours.xml')));
+  repo.write(json, ours);
+
+  const res = repo.run(['upgrade']);
+  assert.equal(res.status, 1, res.out);
+  assert.match(res.out, /conflicted: 2/);
+  const merged = repo.read(md);
+  assert.match(merged, /^<<<<<<< /m);
+  assert.ok(merged.includes('## Our heading') && merged.includes(heading));
+  assert.equal(repo.read(json), ours);
+  assert.ok(repo.exists(`${json}.rej`));
+});
+
+test('upgrade: one run writes one backup directory', t => {
+  const repo = initRepo(t);
+  for (const b of backups(repo)) fs.rmSync(repo.path(b), { recursive: true });
+  const script = 'scripts/generate-context.sh';
+  recordOldTemplate(repo, script, repo.read(script).replace(/^# .*$/m, '# old'));
+  repo.write(script, `${repo.read(`.ai-dev/base/${script}`)}# ours\n`);
+  repo.write('.ai-dev/rules.md', `${repo.read('.ai-dev/rules.md')}\n## Team rule\n- Keep it short.\n`);
+
+  const res = repo.run(['upgrade']);
+  assert.equal(res.status, 0, res.out);
+  const dirs = backups(repo);
+  assert.equal(dirs.length, 1, dirs.join(' '));
+  assert.ok(fs.existsSync(repo.path(`${dirs[0]}/${script}`)));
+  assert.ok(fs.existsSync(repo.path(`${dirs[0]}/CLAUDE.md`)));
+});
@@ -0,0 +1,86 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { tempRepo } = require('./helpers/repo');
+
+const pkg = (name, deps = {}) => JSON.stringify({ name, version: '1.0.0', dependencies: deps }, null, 2) + '\n';
+
+function npmWorkspace(t) {
+  const repo = tempRepo();
+  t.after(repo.cleanup);
+  repo.write('package.json', JSON.stringify({ private: true, workspaces: ['packages/*', 'apps/*', '!packages/legacy'] }) + '\n');
+  repo.write('packages/utils/package.json', pkg('@acme/utils'));
+  repo.write('packages/utils/index.js', 'exports.sum = (a, b) => a + b;\n');
+  repo.write('packages/ui/package.json', pkg('@acme/ui', { '@acme/utils': '*', react: '^18.0.0' }));
+  repo.write('packages/ui/button.js', "require('@acme/utils');\n");
+  repo.write('packages/legacy/package.json', pkg('@acme/legacy'));
+  repo.write('packages/assets/logo.txt', 'not a package\n');
+  repo.write('apps/web/package.json', pkg('@acme/web', { '@acme/ui': '*' }));
+  repo.write('apps/web/main.js', "require('@acme/ui');\n");
+  repo.write('apps/admin/package.json', pkg('@acme/admin', { '@acme/utils': '*' }));
+  repo.write('apps/admin/main.js', "require('@acme/utils');\n");
+  const res = repo.run(['init']);
+  assert.equal(res.status, 0, res.out);
+  repo.git('add', '-A');
+  assert.equal(repo.commit('chore: workspace').status, 0);
+  return repo;
+}
+
+test('init: workspace packages and their internal dependencies are listed in ARCHITECTURE.md', t => {
+  const repo = npmWorkspace(t);
+  const arch = repo.read('docs/ARCHITECTURE.md');
+  assert.match(arch, /^Workspace packages \(npm workspaces\):$/m);
+  assert.match(arch, /^- @acme\/web \(apps\/web\/\) → depends on: @acme\/ui$/m);
+  assert.match(arch, /^- @acme\/ui \(packages\/ui\/\) → depends on: @acme\/utils$/m);
+  assert.match(arch, /^- @acme\/utils \(packages\/utils\/\)$/m);
+  assert.ok(!arch.includes('@acme/legacy'));
+  assert.ok(!arch.includes('packages/assets'));
+});
+
+test('context --package: the package and its transitive workspace dependencies, nothing else', t => {
+  const repo = npmWorkspace(t);
+  const res = repo.run(['context', '--package', '@acme/web']);
+  assert.equal(res.status, 0, res.out);
+  assert.match(res.out, /\.mcp\/packages\/_acme_web\.xml \(@acme\/web \+ @acme\/ui, @acme\/utils;/);
+  const xml = repo.read('.mcp/packages/_acme_web.xml');
+  for (const f of ['apps/web/main.js', 'packages/ui/button.js', 'packages/utils/index.js', 'package.json', 'docs/ARCHITECTURE.md']) {
+    assert.ok(xml.includes(`<file path="${f}">`), f);
+  }
+  assert.ok(!xml.includes('<file path="apps/admin/'));
+  assert.ok(!xml.includes('<file path="packages/legacy/'));
+  assert.deepEqual(repo.status(), [], '.mcp/packages/ is gitignored');
+
+  const byDir = repo.run(['context', '--package', 'apps/admin/', '--out', '.mcp/packages/admin.xml']);
+  assert.equal(byDir.status, 0, byDir.out);
+  assert.match(byDir.out, /\(@acme\/admin \+ @acme\/utils;/);
+});
+
+test('context --package: an unknown name lists the available packages', t => {
+  const repo = npmWorkspace(t);
+  const res = repo.run(['context', '--package', 'nope']);
+  assert.equal(res.status, 1);
+  assert.match(res.out, /Unknown workspace package "nope"/);
+  assert.match(res.out, /Available: .*@acme\/web/);
+});
+
+test('init: pnpm, Cargo and go.work workspaces are detected', t => {
+  const repo = tempRepo();
+  t.after(repo.cleanup);
+  repo.write('pnpm-workspace.yaml', "packages:\n  - 'tools/*'\n");
+  repo.write('tools/lint/package.json', pkg('lint-kit'));
+  repo.write('Cargo.toml', '[workspace]\nmembers = ["crates/*"]\nexclude = ["crates/old"]\n');
+  repo.write('crates/core/Cargo.toml', '[package]\nname = "acme-core"\n');
+  repo.write('crates/cli/Cargo.toml', '[package]\nname = "acme-cli"\n\n[dependencies]\nacme-core = { path = "../core" }\n');
+  repo.write('crates/old/Cargo.toml', '[package]\nname = "acme-old"\n');
+  repo.write('go.work', 'go 1.22\n\nuse (\n\t./svc/api\n)\n');
+  repo.write('svc/api/go.mod', 'module example.com/api\n\ngo 1.22\n');
+  assert.equal(repo.run(['init']).status, 0);
+
+  const arch = repo.read('docs/ARCHITECTURE.md');
+  assert.match(arch, /^Workspace packages \(pnpm workspaces, cargo workspace, go\.work\):$/m);
+  assert.match(arch, /^- lint-kit \(tools\/lint\/\)$/m);
+  assert.match(arch, /^- acme-cli \(crates\/cli\/\) → depends on: acme-core$/m);
+  assert.match(arch, /^- example\.com\/api \(svc\/api\/\)$/m);
+  assert.ok(!arch.includes('acme-old'));
+});